@@ -0,0 +1,90 @@
+var _    = require('underscore'),
+    fs   = require('fs'),
+    path = require('path'),
+    Step = require('step');
+
+// Local assets
+//
+// Styles may reference local files, like marker or pattern images,
+// as "asset://<name>" or "asset://<name>/<path>", e.g.
+//
+//   marker-file: url(asset://icons/pin.svg);
+//
+// `name` being registered in an assets registry, an object holding
+// the local file or directory of every asset name, e.g.
+//
+//   { icons: '/srv/assets/icons', logo: '/srv/assets/logo.png' }
+//
+// "asset://<name>" references the registered file, "asset://<name>/<path>"
+// the file at `path` within the registered directory.
+
+var reference_re = /asset:\/\/([^\s'"()]*)/g;
+
+// Local path of an asset reference, throws on unknown asset names
+// and paths out of the asset directory
+//
+// @param url the "asset://..." reference
+// @param assets the registry
+module.exports.resolve = function(url, assets) {
+  var m = /^asset:\/\/([^\/]*)\/?(.*)$/.exec(url);
+  var name = m ? m[1] : '';
+  if ( ! name || ! assets || ! assets.hasOwnProperty(name) ) {
+    throw new Error("Unknown asset '" + url + "'");
+  }
+  var base = path.resolve(assets[name]);
+  if ( ! m[2] ) return base;
+  var file = path.resolve(base, m[2]);
+  if ( file.indexOf(base + path.sep) !== 0 ) {
+    throw new Error("Asset '" + url + "' is out of its directory");
+  }
+  return file;
+};
+
+// Replace the asset references of a stylesheet with local paths.
+// Referenced files must exist.
+//
+// @param data the CartoCSS
+// @param filename name of the stylesheet, for error locations
+// @param assets the registry
+// @param callback(err, data) err having one line per problem, as
+//        "<filename>:<line>:<column> <message>" (see style_errors.js)
+module.exports.resolveStyle = function(data, filename, assets, callback) {
+  var references = [];
+  data.replace(reference_re, function(url, rest, offset) {
+    var before = data.substr(0, offset).split('\n');
+    references.push({ url: url, line: before.length, column: _.last(before).length + 1 });
+    return url;
+  });
+  if ( _.isEmpty(references) ) { callback(null, data); return; }
+
+  Step(
+    function checkFiles() {
+      var group = this.group();
+      _.each(references, function(ref) {
+        var next = group();
+        try {
+          ref.file = module.exports.resolve(ref.url, assets);
+        } catch (err) {
+          next(null, err.message);
+          return;
+        }
+        fs.stat(ref.file, function(err) {
+          next(null, err ? "Asset '" + ref.url + "' not found" : null);
+        });
+      });
+    },
+    function replace(err, problems) {
+      if ( err ) throw err;
+      var messages = _.compact(_.map(problems, function(problem, i) {
+        var ref = references[i];
+        return problem ? filename + ':' + ref.line + ':' + ref.column + ' ' + problem : null;
+      }));
+      if ( ! _.isEmpty(messages) ) throw new Error(messages.join('\n'));
+      var i = 0;
+      return data.replace(reference_re, function() { return references[i++].file; });
+    },
+    function finish(err, resolved) {
+      callback(err, err ? null : resolved);
+    }
+  );
+};
@@ -0,0 +1,108 @@
+var _      = require('underscore'),
+    semver = require('semver');
+
+// Default styles
+//
+// Default styles are built from a theme, an object whose members
+// all are optional:
+//
+// `marker_fill`, `marker_opacity`, `marker_width`, `marker_line_color`,
+// `marker_line_width`, `marker_line_opacity` - point styling.
+//     `marker_width` defaults to 8 before mapnik 2.1.0, 16 after.
+// `line_color`, `line_width`, `line_opacity` - line styling
+// `polygon_fill`, `polygon_opacity`, `polygon_line_color`,
+// `polygon_line_opacity` - polygon styling
+// `label_field` - field to label features with, no labels if missing
+// `label_fill`, `label_size`, `label_face_name`, `label_halo_fill`,
+// `label_halo_radius` - label styling
+//
+// Missing members are taken from the built-in theme.
+
+var builtin_theme = {
+  marker_fill: '#FF6600',
+  marker_opacity: 1,
+  marker_line_color: 'white',
+  marker_line_width: 3,
+  marker_line_opacity: 0.9,
+  line_color: '#FF6600',
+  line_width: 1,
+  line_opacity: 0.7,
+  polygon_fill: '#FF6600',
+  polygon_opacity: 0.7,
+  polygon_line_color: '#FFFFFF',
+  polygon_line_opacity: 1,
+  label_fill: '#000000',
+  label_size: 10,
+  label_face_name: 'DejaVu Sans Book',
+  label_halo_fill: '#FFFFFF',
+  label_halo_radius: 1
+};
+
+module.exports.builtin_theme = builtin_theme;
+
+function pointStyle(t) {
+  return " {marker-fill: " + t.marker_fill + ";marker-opacity: " + t.marker_opacity +
+    ";marker-width: " + t.marker_width + ";marker-line-color: " + t.marker_line_color +
+    ";marker-line-width: " + t.marker_line_width + ";marker-line-opacity: " + t.marker_line_opacity +
+    ";marker-placement: point;marker-type: ellipse;marker-allow-overlap: true;}";
+}
+
+function lineStyle(t) {
+  return " {line-color:" + t.line_color + "; line-width:" + t.line_width +
+    "; line-opacity: " + t.line_opacity + ";}";
+}
+
+function polygonStyle(t) {
+  return " {polygon-fill:" + t.polygon_fill + "; polygon-opacity: " + t.polygon_opacity +
+    "; line-opacity:" + t.polygon_line_opacity + "; line-color: " + t.polygon_line_color + ";}";
+}
+
+function labelStyle(name, t) {
+  if ( ! t.label_field ) return '';
+  return '#' + name + '::labels {text-name: "[' + t.label_field + ']"; text-face-name: "' +
+    t.label_face_name + '"; text-size: ' + t.label_size + '; text-fill: ' + t.label_fill +
+    '; text-halo-fill: ' + t.label_halo_fill + '; text-halo-radius: ' + t.label_halo_radius + ';}';
+}
+
+// Default styles, by geometry type, for a layer named `name`.
+// The `version` member holds the version of the styles.
+//
+// @param name layer name
+// @param mapnik_version target mapnik version
+// @param theme optional theme, see above
+module.exports.make = function(name, mapnik_version, theme) {
+  var styles = {};
+  var t = _.defaults(_.clone(theme || {}), builtin_theme);
+  var labels = labelStyle(name, t);
+  if ( semver.satisfies(mapnik_version, '< 2.1.0') )
+  {
+    if ( _.isUndefined(t.marker_width) ) t.marker_width = 8;
+    styles.point = '#' + name + pointStyle(t) + labels;
+    styles.polygon = '#' + name + polygonStyle(t) + labels;
+    styles.multipolygon = styles.polygon;
+    styles.multilinestring = '#' + name + lineStyle(t) + labels;
+    styles.version = '2.0.0';
+  }
+  else
+  {
+    if ( _.isUndefined(t.marker_width) ) t.marker_width = 16;
+    styles.point =
+      styles.polygon =
+      styles.multipolygon =
+      styles.multilinestring =
+      styles.geometry =
+      '#' + name + '[mapnik-geometry-type=1]' + pointStyle(t) +
+      '#' + name + '[mapnik-geometry-type=2]' + lineStyle(t) +
+      '#' + name + '[mapnik-geometry-type=3]' + polygonStyle(t) +
+      labels
+    ;
+    styles.version = mapnik_version;
+  }
+  return styles;
+};
+
+// Fill in the `#table` selector of a database default style
+// with the name of the layer
+module.exports.forLayer = function(style, name) {
+  return style.replace(/#table(?![\w-])/g, '#' + name);
+};
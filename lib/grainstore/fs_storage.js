@@ -0,0 +1,233 @@
+var _      = require('underscore')
+  , fs     = require('fs')
+  , path   = require('path')
+  , crypto = require('crypto')
+  , mkdirp = require('./fs_utils').mkdirp;
+
+// FilesystemStorage constructor.
+//
+// Storage backend keeping one file per key under a base directory,
+// for single node deployments with no Redis around.
+// See redis_storage.js for the storage interface.
+//
+// Files are named after a digest of the key and contain
+// both key and value, so keys of any length can be stored.
+// Writes are atomic (write to temporary file, then rename).
+//
+// NOTE: compareAndSet and index updates are only atomic among
+//       writers sharing the same FilesystemStorage instance.
+//
+// Indexes are stored like other values, as JSON member:score objects.
+//
+// Expired values are ignored, their files are only removed
+// when the key is deleted (as expired extended keys are, once
+// pruned from the related keys index, see mml_builder.js).
+//
+// Publishing, subscribing and locking are not supported.
+//
+// - `dir` {String} base directory, created if missing
+var FilesystemStorage = function(dir){
+
+  if ( ! dir ) throw new Error("FilesystemStorage needs a base directory");
+
+  var me = {
+    dir: dir
+  };
+
+  var tmp_count = 0;
+
+  // Pending write operations, run one at a time
+  var write_queue = [];
+  var writing = false;
+
+  var filename = function(key) {
+    return path.join(dir, crypto.createHash('sha1').update(key).digest('hex'));
+  };
+
+  // Queue `fn(done)` for serialized execution,
+  // `callback` receives whatever `done` gets
+  var serialize = function(fn, callback) {
+    write_queue.push([fn, callback]);
+    if ( ! writing ) runNextWrite();
+  };
+
+  var runNextWrite = function() {
+    var next = write_queue.shift();
+    if ( ! next ) { writing = false; return; }
+    writing = true;
+    next[0](function() {
+      next[1].apply(null, arguments);
+      runNextWrite();
+    });
+  };
+
+  // Calls callback(err, record), record being null
+  // if the file does not exist or has expired
+  var readRecord = function(file, callback) {
+    fs.readFile(file, 'utf8', function(err, data) {
+      if ( err ) {
+        if ( err.code == 'ENOENT' ) callback(null, null);
+        else callback(err);
+        return;
+      }
+      var record;
+      try { record = JSON.parse(data); }
+      catch (err) { callback(err); return; }
+      if ( record.expires && record.expires <= Date.now() ) record = null;
+      callback(null, record);
+    });
+  };
+
+  var writeRecord = function(record, callback) {
+    var file = filename(record.key);
+    var tmp = file + '.tmp.' + process.pid + '.' + (++tmp_count);
+    mkdirp(dir, function(err) {
+      if ( err ) { callback(err); return; }
+      fs.writeFile(tmp, JSON.stringify(record), function(err) {
+        if ( err ) { callback(err); return; }
+        fs.rename(tmp, file, callback);
+      });
+    });
+  };
+
+  var writeValue = function(key, value, callback) {
+    writeRecord({key: key, value: value}, callback);
+  };
+
+  var unlinkKeys = function(keys, callback) {
+    var left = keys.length;
+    var error = null;
+    if ( ! left ) { callback(null); return; }
+    _.each(keys, function(key) {
+      fs.unlink(filename(key), function(err) {
+        if ( err && err.code != 'ENOENT' ) error = err;
+        if ( ! --left ) callback(error);
+      });
+    });
+  };
+
+  var getValue = function(key, callback) {
+    readRecord(filename(key), function(err, record) {
+      callback(err, record ? record.value : null);
+    });
+  };
+
+  me.get = function(key, callback) {
+    getValue(key, callback);
+  };
+
+  me.set = function(key, value, callback) {
+    serialize(function(done) {
+      writeValue(key, value, done);
+    }, callback);
+  };
+
+  me.del = function(keys, callback) {
+    keys = _.isArray(keys) ? keys : [keys];
+    serialize(function(done) {
+      unlinkKeys(keys, done);
+    }, callback);
+  };
+
+  me.expire = function(key, ttl, callback) {
+    serialize(function(done) {
+      readRecord(filename(key), function(err, record) {
+        if ( err || ! record ) { done(err); return; }
+        record.expires = Date.now() + ttl * 1000;
+        writeRecord(record, done);
+      });
+    }, callback);
+  };
+
+  me.keys = function(prefix, callback) {
+    fs.readdir(dir, function(err, files) {
+      if ( err ) {
+        if ( err.code == 'ENOENT' ) callback(null, []);
+        else callback(err);
+        return;
+      }
+      files = _.reject(files, function(f) { return /\.tmp\./.test(f); });
+      var keys = [];
+      var left = files.length;
+      var error = null;
+      if ( ! left ) { callback(null, keys); return; }
+      _.each(files, function(f) {
+        readRecord(path.join(dir, f), function(err, record) {
+          if ( err ) error = err;
+          else if ( record && record.key.substr(0, prefix.length) == prefix ) {
+            keys.push(record.key);
+          }
+          if ( ! --left ) callback(error, error ? null : keys);
+        });
+      });
+    });
+  };
+
+  me.compareAndSet = function(key, expected, values, callback) {
+    serialize(function(done) {
+      getValue(key, function(err, current) {
+        if ( err || current !== expected ) { done(err, false); return; }
+        var pairs = _.map(values, function(v, k) { return [k, v]; });
+        var left = pairs.length;
+        var error = null;
+        if ( ! left ) { done(null, true); return; }
+        _.each(pairs, function(pair) {
+          writeValue(pair[0], pair[1], function(err) {
+            if ( err ) error = err;
+            if ( ! --left ) done(error, ! error);
+          });
+        });
+      });
+    }, callback);
+  };
+
+  // Read-modify-write the member:score object of an index,
+  // `fn(scores)` modifying it in place
+  var updateIndex = function(index, fn, callback) {
+    serialize(function(done) {
+      getValue(index, function(err, data) {
+        if ( err ) { done(err); return; }
+        var scores = data ? JSON.parse(data) : {};
+        fn(scores);
+        if ( _.isEmpty(scores) ) unlinkKeys([index], done);
+        else writeValue(index, JSON.stringify(scores), done);
+      });
+    }, callback);
+  };
+
+  me.indexAdd = function(index, member, score, callback) {
+    updateIndex(index, function(scores) {
+      scores[member] = score;
+    }, callback);
+  };
+
+  me.indexMembers = function(index, callback) {
+    getValue(index, function(err, data) {
+      if ( err ) { callback(err); return; }
+      var scores = data ? JSON.parse(data) : {};
+      callback(null, _.sortBy(_.keys(scores), function(m) { return scores[m]; }));
+    });
+  };
+
+  me.indexRemove = function(index, members, callback) {
+    members = _.isArray(members) ? members : [members];
+    updateIndex(index, function(scores) {
+      _.each(members, function(m) { delete scores[m]; });
+    }, callback);
+  };
+
+  me.indexRemoveBelow = function(index, score, callback) {
+    var removed = [];
+    updateIndex(index, function(scores) {
+      _.each(_.keys(scores), function(m) {
+        if ( scores[m] < score ) { removed.push(m); delete scores[m]; }
+      });
+    }, function(err) {
+      callback(err, removed);
+    });
+  };
+
+  return me;
+};
+
+module.exports = FilesystemStorage;
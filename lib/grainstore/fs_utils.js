@@ -0,0 +1,78 @@
+var _    = require('underscore'),
+    fs   = require('fs'),
+    path = require('path');
+
+// Filesystem helpers shared by the storage, resource policy
+// and millstone cache modules
+
+// Create directory `d`, and any missing parent
+var mkdirp = module.exports.mkdirp = function(d, callback) {
+  fs.mkdir(d, function(err) {
+    if ( ! err || err.code == 'EEXIST' ) { callback(null); return; }
+    if ( err.code != 'ENOENT' ) { callback(err); return; }
+    mkdirp(path.dirname(d), function(err) {
+      if ( err ) { callback(err); return; }
+      mkdirp(d, callback);
+    });
+  });
+};
+
+// Call `fn(name, callback)` for each entry of directory `d`,
+// then callback(err) with the first error, if any.
+// A missing directory has no entries.
+var eachEntry = function(d, fn, callback) {
+  fs.readdir(d, function(err, names) {
+    if ( err ) { callback(err.code == 'ENOENT' ? null : err); return; }
+    var left = names.length;
+    var error = null;
+    if ( ! left ) { callback(null); return; }
+    _.each(names, function(name) {
+      fn(name, function(err) {
+        if ( err && ! error ) error = err;
+        if ( ! --left ) callback(error);
+      });
+    });
+  });
+};
+
+// Remove file or directory `p` with all its contents,
+// going on with the other entries when one can't be removed.
+// Calls callback(err) with the first error, a missing `p`
+// being no error.
+var removeTree = module.exports.removeTree = function(p, callback) {
+  fs.lstat(p, function(err, stats) {
+    if ( err ) { callback(err.code == 'ENOENT' ? null : err); return; }
+    if ( ! stats.isDirectory() ) {
+      fs.unlink(p, function(err) {
+        callback(err && err.code != 'ENOENT' ? err : null);
+      });
+      return;
+    }
+    eachEntry(p, function(name, done) {
+      removeTree(path.join(p, name), done);
+    }, function(err) {
+      if ( err ) { callback(err); return; }
+      fs.rmdir(p, function(err) {
+        callback(err && err.code != 'ENOENT' ? err : null);
+      });
+    });
+  });
+};
+
+// Calls callback(err, bytes) with the size of the files
+// under `p`, 0 if it does not exist
+var treeSize = module.exports.treeSize = function(p, callback) {
+  fs.lstat(p, function(err, stats) {
+    if ( err ) { callback(err.code == 'ENOENT' ? null : err, 0); return; }
+    if ( ! stats.isDirectory() ) { callback(null, stats.size); return; }
+    var bytes = 0;
+    eachEntry(p, function(name, done) {
+      treeSize(path.join(p, name), function(err, size) {
+        bytes += size || 0;
+        done(err);
+      });
+    }, function(err) {
+      callback(err, bytes);
+    });
+  });
+};
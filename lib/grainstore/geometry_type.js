@@ -0,0 +1,27 @@
+var _ = require('underscore');
+
+// Geometry type names, as returned by PostGIS (GeometryType, ST_GeometryType,
+// geometry_columns) or OGR, mapped to the keys of the default styles
+var style_keys = {
+  point: 'point',
+  multipoint: 'point',
+  linestring: 'multilinestring',
+  multilinestring: 'multilinestring',
+  polygon: 'polygon',
+  multipolygon: 'multipolygon',
+  geometry: 'geometry',
+  geometrycollection: 'geometry'
+};
+
+// Normalize a geometry type name onto the default style keys,
+// e.g. "ST_MultiLineString" or "LINESTRING" to "multilinestring".
+// Dimension suffixes ("POINTZ", "ST_PointM", "MULTIPOLYGON ZM") are
+// ignored. Unknown names are returned lowercased, null for empty ones.
+module.exports.normalize = function(name) {
+  if ( _.isUndefined(name) || _.isNull(name) || name === '' ) return null;
+  var type = String(name).toLowerCase().replace(/^st_/, '').replace(/\s+/g, '');
+  if ( style_keys.hasOwnProperty(type) ) return style_keys[type];
+  var bare = type.replace(/(zm|z|m)$/, '');
+  if ( style_keys.hasOwnProperty(bare) ) return style_keys[bare];
+  return type;
+};
@@ -2,5 +2,10 @@ module.exports = {
   version: function() {
     return require('../../package.json').version;
   },
-  MMLStore:  require('./mml_store')
+  MMLStore:  require('./mml_store'),
+  RedisPool: require('./redis_pool'),
+  RedisStorage: require('./redis_storage'),
+  MemoryStorage: require('./memory_storage'),
+  FilesystemStorage: require('./fs_storage'),
+  StoreKeys: require('./store_keys')
 };
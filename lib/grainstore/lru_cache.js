@@ -0,0 +1,108 @@
+// LRUCache constructor.
+//
+// Bounded cache of string values by string keys, evicting the least
+// recently used entries when full.
+//
+// - `opts` {Object} optional settings:
+//     `max_entries` - maximum number of entries, defaults to 1000
+//     `max_bytes`   - maximum total size of values, in bytes,
+//                     defaults to no limit
+var LRUCache = function(opts){
+  opts = opts || {};
+
+  var max_entries = opts.max_entries || 1000;
+  var max_bytes = opts.max_bytes || Infinity;
+
+  var me = {};
+
+  // Entries by key, each entry being a node of a doubly linked list
+  // from the most (head) to the least (tail) recently used
+  var entries = {};
+  var head = null;
+  var tail = null;
+  var count = 0;
+  var bytes = 0;
+  var hits = 0;
+  var misses = 0;
+  var evictions = 0;
+
+  // Keys are prefixed not to clash with Object.prototype members
+  var id = function(key) { return '$' + key; };
+
+  var unlink = function(entry) {
+    if ( entry.prev ) entry.prev.next = entry.next; else head = entry.next;
+    if ( entry.next ) entry.next.prev = entry.prev; else tail = entry.prev;
+    entry.prev = entry.next = null;
+  };
+
+  var pushFront = function(entry) {
+    entry.next = head;
+    if ( head ) head.prev = entry;
+    head = entry;
+    if ( ! tail ) tail = entry;
+  };
+
+  var remove = function(entry) {
+    unlink(entry);
+    delete entries[id(entry.key)];
+    count--;
+    bytes -= entry.size;
+  };
+
+  // Returns the cached value, or undefined if missing
+  me.get = function(key) {
+    var entry = entries[id(key)];
+    if ( ! entry ) { misses++; return undefined; }
+    hits++;
+    unlink(entry);
+    pushFront(entry);
+    return entry.value;
+  };
+
+  // Values bigger than max_bytes are not cached
+  me.set = function(key, value) {
+    me.del(key);
+    var size = Buffer.byteLength(value);
+    if ( size > max_bytes ) return;
+    var entry = { key: key, value: value, size: size, prev: null, next: null };
+    entries[id(key)] = entry;
+    pushFront(entry);
+    count++;
+    bytes += size;
+    while ( count > max_entries || bytes > max_bytes ) {
+      remove(tail);
+      evictions++;
+    }
+  };
+
+  me.del = function(key) {
+    var entry = entries[id(key)];
+    if ( entry ) remove(entry);
+  };
+
+  // Delete all entries for which `fn(key)` is true
+  me.delWhere = function(fn) {
+    var entry = head;
+    while ( entry ) {
+      var next = entry.next;
+      if ( fn(entry.key) ) remove(entry);
+      entry = next;
+    }
+  };
+
+  me.clear = function() {
+    entries = {};
+    head = tail = null;
+    count = bytes = 0;
+  };
+
+  // Returns an object with `entries`, `bytes`, `hits`,
+  // `misses` and `evictions` counts
+  me.stats = function() {
+    return { entries: count, bytes: bytes, hits: hits, misses: misses, evictions: evictions };
+  };
+
+  return me;
+};
+
+module.exports = LRUCache;
@@ -0,0 +1,159 @@
+var _ = require('underscore');
+
+// MemoryStorage constructor.
+//
+// In-process storage backend, useful for tests and single
+// process deployments. Values are lost on process exit.
+// See redis_storage.js for the storage interface.
+var MemoryStorage = function(){
+
+  var me = {
+    data: {},   // stored values by key
+    indexes: {} // stored indexes by key, as member:score objects
+  };
+
+  var expires = {};   // expiration times of values by key
+  var listeners = {}; // arrays of subscription listeners by channel
+  var locks = {};     // lock tokens and expiration times by key
+  var lock_count = 0;
+
+  // Call `callback` with the given arguments on next tick,
+  // as other backends are asynchronous too
+  var later = function(callback) {
+    var args = _.toArray(arguments).slice(1);
+    process.nextTick(function() { callback.apply(null, args); });
+  };
+
+  // Delete expired values
+  var purgeExpired = function() {
+    var now = Date.now();
+    _.each(expires, function(time, key) {
+      if ( time > now ) return;
+      delete me.data[key];
+      delete expires[key];
+    });
+  };
+
+  me.get = function(key, callback) {
+    purgeExpired();
+    later(callback, null, me.data.hasOwnProperty(key) ? me.data[key] : null);
+  };
+
+  me.set = function(key, value, callback) {
+    me.data[key] = value;
+    delete expires[key];
+    later(callback, null);
+  };
+
+  me.del = function(keys, callback) {
+    _.each(_.isArray(keys) ? keys : [keys], function(k) {
+      delete me.data[k];
+      delete me.indexes[k];
+      delete expires[k];
+    });
+    later(callback, null);
+  };
+
+  me.expire = function(key, ttl, callback) {
+    if ( me.data.hasOwnProperty(key) ) expires[key] = Date.now() + ttl * 1000;
+    later(callback, null);
+  };
+
+  // Synchronous version of `keys`
+  me.keysSync = function(prefix) {
+    purgeExpired();
+    return _.filter(_.keys(me.data).concat(_.keys(me.indexes)), function(k) {
+      return k.substr(0, prefix.length) == prefix;
+    });
+  };
+
+  me.keys = function(prefix, callback) {
+    later(callback, null, me.keysSync(prefix));
+  };
+
+  me.compareAndSet = function(key, expected, values, callback) {
+    purgeExpired();
+    var current = me.data.hasOwnProperty(key) ? me.data[key] : null;
+    if ( current !== expected ) {
+      later(callback, null, false);
+      return;
+    }
+    _.extend(me.data, values);
+    _.each(values, function(v, k) { delete expires[k]; });
+    later(callback, null, true);
+  };
+
+  me.indexAdd = function(index, member, score, callback) {
+    if ( ! me.indexes[index] ) me.indexes[index] = {};
+    me.indexes[index][member] = score;
+    later(callback, null);
+  };
+
+  me.indexMembers = function(index, callback) {
+    var scores = me.indexes[index] || {};
+    var members = _.sortBy(_.keys(scores), function(m) { return scores[m]; });
+    later(callback, null, members);
+  };
+
+  me.indexRemove = function(index, members, callback) {
+    var scores = me.indexes[index];
+    if ( scores ) {
+      _.each(_.isArray(members) ? members : [members], function(m) {
+        delete scores[m];
+      });
+      if ( _.isEmpty(scores) ) delete me.indexes[index];
+    }
+    later(callback, null);
+  };
+
+  me.indexRemoveBelow = function(index, score, callback) {
+    var scores = me.indexes[index] || {};
+    var removed = _.filter(_.keys(scores), function(m) {
+      return scores[m] < score;
+    });
+    me.indexRemove(index, removed, function(err) {
+      callback(err, removed);
+    });
+  };
+
+  // Locks only exclude users of this same storage
+  me.lock = function(key, ttl, callback) {
+    var now = Date.now();
+    var current = locks.hasOwnProperty(key) ? locks[key] : null;
+    if ( current && current.expires > now ) {
+      later(callback, null, null);
+      return;
+    }
+    var token = String(++lock_count);
+    locks[key] = { token: token, expires: now + ttl };
+    later(callback, null, token);
+  };
+
+  me.unlock = function(key, token, callback) {
+    if ( locks.hasOwnProperty(key) && locks[key].token === token ) delete locks[key];
+    later(callback, null);
+  };
+
+  // Messages only reach subscribers of this same storage
+  me.publish = function(channel, message, callback) {
+    _.each(listeners[channel] || [], function(l) {
+      process.nextTick(function() { l(message); });
+    });
+    later(callback, null);
+  };
+
+  me.subscribe = function(channel, listener, callback) {
+    if ( ! listeners[channel] ) listeners[channel] = [];
+    listeners[channel].push(listener);
+    later(callback, null, {
+      unsubscribe: function(callback) {
+        listeners[channel] = _.without(listeners[channel], listener);
+        if ( callback ) later(callback, null);
+      }
+    });
+  };
+
+  return me;
+};
+
+module.exports = MemoryStorage;
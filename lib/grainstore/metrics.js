@@ -0,0 +1,39 @@
+// Metrics constructor.
+//
+// Reports grainstore metrics to a statsd-like `hook`, an object with
+// any of these methods, the missing ones being skipped:
+//
+//   `increment(name)`        - count an occurrence
+//   `timing(name, ms)`       - record a duration, in milliseconds
+//   `histogram(name, value)` - record a value, e.g. a size in bytes
+//
+// Clients like node-statsd or hot-shots can be used as hooks.
+// Names are prefixed with "grainstore.", see mml_builder.js and
+// redis_pool.js for the metrics reported.
+var Metrics = function(hook){
+  hook = hook || {};
+
+  var me = {};
+
+  me.increment = function(name) {
+    if ( hook.increment ) hook.increment('grainstore.' + name);
+  };
+
+  me.timing = function(name, ms) {
+    if ( hook.timing ) hook.timing('grainstore.' + name, ms);
+  };
+
+  me.histogram = function(name, value) {
+    if ( hook.histogram ) hook.histogram('grainstore.' + name, value);
+  };
+
+  // Start timing `name`, returns a function to call when done
+  me.timer = function(name) {
+    var start = Date.now();
+    return function() { me.timing(name, Date.now() - start); };
+  };
+
+  return me;
+};
+
+module.exports = Metrics;
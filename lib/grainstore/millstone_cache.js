@@ -0,0 +1,285 @@
+var _       = require('underscore'),
+    fs      = require('fs'),
+    path    = require('path'),
+    Step    = require('step'),
+    fs_utils = require('./fs_utils'),
+    Metrics = require('./metrics'),
+    StoreKeys = require('./store_keys');
+
+// MillstoneCache constructor.
+//
+// Manages the directories millstone (and the external resources
+// policy) localize the resources of styles into, one per map:
+//
+//   <dir>[/ns=<namespace>][/t=<tenant>]/<db>/<map name>/{base,cache}
+//
+// Names are encoded into a single directory each (see encode below),
+// so that no name reaches out of its parent or into another scope.
+//
+// - `opts` {Object} optional settings:
+//     `dir`       - base directory, defaults to "/tmp/millstone"
+//     `namespace`, `tenant` - those of the storage keys, see store_keys.js
+//     `max_bytes` - size limit of all the maps' directories. Once over
+//                   it, update evicts the least recently used maps
+//                   until back under it. No limit if not set.
+//     `on_evict`  - function(db, map_name, callback) called for every
+//                   evicted map, e.g. to drop XML referencing its files
+//     `metrics`   - statsd-like hook, see metrics.js. Reported:
+//                     `millstone_cache.evict` - maps evicted
+//                     `millstone_cache.bytes` - size after updates
+//
+// Sizes and uses are accounted for in this process, starting from
+// a scan of the directories on first update. Directories filled by
+// other processes are only seen by later scans (see sweep).
+var MillstoneCache = function(opts){
+  opts = opts || {};
+
+  var me = {};
+
+  me.root = path.resolve(_.compact([
+    opts.dir || '/tmp/millstone',
+    opts.namespace && 'ns=' + encode(opts.namespace),
+    opts.tenant && 't=' + encode(opts.tenant)
+  ]).join('/'));
+
+  var max_bytes = opts.max_bytes || 0;
+  var on_evict = opts.on_evict || function(db, map_name, callback) { callback(null); };
+  var metrics = new Metrics(opts.metrics);
+
+  // Known maps by directory, with `db`, `map_name`,
+  // `bytes` and `last_used` (milliseconds) members
+  var entries = {};
+  var scanned = false;
+  var evicting = false;
+
+  // Directory of a map. Throws for names making
+  // a directory out of the root one, like empty names.
+  me.dir = function(db, map_name) {
+    var dir = me.root + '/' + encode(db) + '/' + encode(map_name);
+    if ( path.resolve(dir) != dir || dir.indexOf(me.root + '/') !== 0 ) {
+      throw new Error("Invalid millstone cache directory for '" + db + "', '" + map_name + "'");
+    }
+    return dir;
+  };
+
+  // Millstone `base` and `cache` options of a map
+  me.options = function(db, map_name) {
+    var dir = me.dir(db, map_name);
+    return { base: dir + '/base', cache: dir + '/cache' };
+  };
+
+  // Mark the resources of a map as used, for eviction
+  // to keep them over the less recently used ones
+  me.touch = function(db, map_name) {
+    var entry = entries[me.dir(db, map_name)];
+    if ( entry ) entry.last_used = Date.now();
+  };
+
+  // Remove the directory of a map, and the one of its
+  // database if left empty. Calls callback(err).
+  me.purge = function(db, map_name, callback) {
+    var dir;
+    try { dir = me.dir(db, map_name); }
+    catch (err) { callback(err); return; }
+    delete entries[dir];
+    fs_utils.removeTree(dir, function(err) {
+      if ( err ) { callback(err); return; }
+      fs.rmdir(path.dirname(dir), function() {
+        callback(null); // not empty or gone already
+      });
+    });
+  };
+
+  // Find the maps having a directory, calls callback(err, maps),
+  // `maps` being objects with `db`, `map_name`, `dir` and `mtime`.
+  // Directories not named by encode, like those of namespaces
+  // and tenants, are left alone.
+  me.scan = function(callback) {
+    var maps = [];
+    var isMapDir = function(dir, done) {
+      fs.readdir(dir, function(err, names) {
+        done(null, ! err && ( _.include(names, 'base') || _.include(names, 'cache') ));
+      });
+    };
+    Step(
+      function listDatabases() {
+        fs.readdir(me.root, this);
+      },
+      function listMaps(err, dbs) {
+        if ( err ) {
+          if ( err.code == 'ENOENT' ) return [];
+          throw err;
+        }
+        var group = this.group();
+        _.each(_.filter(dbs, isEncoded), function(db) {
+          var next = group();
+          fs.readdir(me.root + '/' + db, function(err, names) {
+            // not a directory
+            next(null, err ? [] : _.map(_.filter(names, isEncoded), function(name) {
+              return { db: StoreKeys.decode(db), map_name: StoreKeys.decode(name) };
+            }));
+          });
+        });
+      },
+      function statMaps(err, candidates) {
+        if ( err ) throw err;
+        var group = this.group();
+        _.each(_.flatten(candidates || [], true), function(map) {
+          var next = group();
+          map.dir = me.dir(map.db, map.map_name);
+          isMapDir(map.dir, function(err, is_map) {
+            if ( ! is_map ) { next(null); return; }
+            fs.stat(map.dir, function(err, stats) {
+              if ( err ) { next(null); return; } // removed meanwhile
+              map.mtime = stats.mtime.getTime();
+              maps.push(map);
+              next(null);
+            });
+          });
+        });
+      },
+      function finish(err) {
+        callback(err, err ? null : maps);
+      }
+    );
+  };
+
+  // Account for the resources of a map, after localizing them,
+  // and evict other maps if over `max_bytes`. Does nothing with
+  // no limit. Calls callback(err, evicted), `evicted` being
+  // objects with `db` and `map_name` members.
+  me.update = function(db, map_name, callback) {
+    if ( ! max_bytes ) { callback(null, []); return; }
+    var dir;
+    try { dir = me.dir(db, map_name); }
+    catch (err) { callback(err, []); return; }
+    Step(
+      function scanOnce() {
+        if ( scanned ) return null;
+        var next = this;
+        me.scan(function(err, maps) {
+          if ( err ) { next(err); return; }
+          scanned = true;
+          measureAll(maps, next);
+        });
+      },
+      function measure(err) {
+        if ( err ) throw err;
+        var next = this;
+        fs_utils.treeSize(dir, function(err, bytes) {
+          if ( err ) { next(err); return; }
+          var entry = entries[dir] || ( entries[dir] = { db: db, map_name: map_name } );
+          entry.bytes = bytes;
+          entry.last_used = Date.now();
+          next(null);
+        });
+      },
+      function evictIfNeeded(err) {
+        if ( err ) throw err;
+        evict(dir, this);
+      },
+      function finish(err, evicted) {
+        if ( ! err ) metrics.histogram('millstone_cache.bytes', totalBytes());
+        callback(err, evicted || []);
+      }
+    );
+  };
+
+  // Remove the directories of maps whose style is gone.
+  //
+  // @param exists function(db, map_name, callback) calling
+  //        callback(err, exists) for every map found by scan
+  // @param callback(err, removed) `removed` being objects
+  //        with `db` and `map_name` members
+  me.sweep = function(exists, callback) {
+    var removed = [];
+    Step(
+      function scanMaps() {
+        me.scan(this);
+      },
+      function checkMaps(err, maps) {
+        if ( err ) throw err;
+        var group = this.group();
+        _.each(maps, function(map) {
+          var next = group();
+          exists(map.db, map.map_name, function(err, found) {
+            if ( err || found ) { next(err); return; }
+            me.purge(map.db, map.map_name, function(err) {
+              if ( ! err ) removed.push({ db: map.db, map_name: map.map_name });
+              next(err);
+            });
+          });
+        });
+      },
+      function finish(err) {
+        callback(err, removed);
+      }
+    );
+  };
+
+  var totalBytes = function() {
+    return _.reduce(entries, function(total, entry) { return total + entry.bytes; }, 0);
+  };
+
+  // Account for the scanned maps, using the time
+  // of their last change as the one of their last use
+  var measureAll = function(maps, callback) {
+    var left = maps.length;
+    var error = null;
+    if ( ! left ) { callback(null); return; }
+    _.each(maps, function(map) {
+      fs_utils.treeSize(map.dir, function(err, bytes) {
+        if ( err && ! error ) error = err;
+        if ( ! err && ! entries[map.dir] ) {
+          entries[map.dir] = { db: map.db, map_name: map.map_name, bytes: bytes, last_used: map.mtime };
+        }
+        if ( ! --left ) callback(error);
+      });
+    });
+  };
+
+  // Evict the least recently used maps, but the one in `keep`,
+  // while over the limit. Calls callback(err, evicted).
+  var evict = function(keep, callback) {
+    if ( evicting || totalBytes() <= max_bytes ) { callback(null, []); return; }
+    evicting = true;
+    var evicted = [];
+    var candidates = _.sortBy(_.filter(_.keys(entries), function(dir) {
+      return dir != keep;
+    }), function(dir) { return entries[dir].last_used; });
+    var next = function(err) {
+      var dir = candidates.shift();
+      if ( err || ! dir || totalBytes() <= max_bytes ) {
+        evicting = false;
+        callback(err, evicted);
+        return;
+      }
+      var entry = entries[dir];
+      me.purge(entry.db, entry.map_name, function(err) {
+        if ( err ) { next(err); return; }
+        metrics.increment('millstone_cache.evict');
+        evicted.push({ db: entry.db, map_name: entry.map_name });
+        on_evict(entry.db, entry.map_name, next);
+      });
+    };
+    next(null);
+  };
+
+  return me;
+};
+
+// Encode a name into a directory name, escaping "%", "/" and "="
+// (used by the namespace and tenant directories), and a leading
+// "." for names not to be "." or "..", like StoreKeys.encode
+var encode = function(name) {
+  return String(name).replace(/[%\/=]|^\./g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+};
+
+// Whether a directory name is the one encode gives for its name
+var isEncoded = function(name) {
+  return encode(StoreKeys.decode(name)) == name;
+};
+
+module.exports = MillstoneCache;
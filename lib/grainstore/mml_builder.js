@@ -2,34 +2,233 @@ var _      = require('underscore'),
     base64 = require('./base64'),
     Step   = require('step'),
     carto  = require('carto'),
+    mapnik_reference = require('mapnik-reference'),
     millstone = require('millstone'),
-    fs     = require('fs'),
+    EventEmitter = require('events').EventEmitter,
+    path   = require('path'),
     StyleTrans = require('./style_trans'),
-    semver = require('semver')
+    StyleErrors = require('./style_errors'),
+    crypto = require('crypto'),
+    SqlTemplate = require('./sql_template'),
+    GeometryType = require('./geometry_type'),
+    DefaultStyles = require('./default_styles'),
+    StoreKeys = require('./store_keys'),
+    Metrics = require('./metrics'),
+    Assets = require('./assets'),
+    ResourcePolicy = require('./resource_policy'),
+    MillstoneCache = require('./millstone_cache'),
+    LRUCache = require('./lru_cache')
 ;
 
+// Datasource parameters holding credentials, kept out of
+// the stored sources of extended keys (see makeExtendedKey)
+var credential_params = [ 'user', 'password' ];
+
+// Time of the last touch of extended keys served from an xml_cache,
+// by key, for cache hits not to touch the storage every time
+var cache_hit_touches = new LRUCache({ max_entries: 10000 });
+
+// True if `datasource` is the full descriptor of a non-PostGIS
+// datasource, rather than overrides of PostGIS settings
+function isStandaloneDatasource(datasource) {
+  return !! ( datasource && datasource.type && datasource.type != 'postgis' );
+}
+
+// Name identifying the data of a standalone datasource, to be used
+// in storage keys: its file, plus table (or layer) if any
+function datasourceSourceName(datasource) {
+  var name = datasource.file;
+  var table = datasource.table || datasource.layer;
+  if ( table ) name = name ? name + ':' + table : table;
+  if ( ! name ) {
+    throw new Error("Options must include table for datasources of type '" + datasource.type + "'");
+  }
+  return name;
+}
+
+// Layer name for a standalone datasource: its table (or layer),
+// or otherwise the base name of its file, with no extension
+function datasourceLayerName(datasource) {
+  var name = datasource.table || datasource.layer ||
+             path.basename(datasource.file || '', path.extname(datasource.file || ''));
+  name = name.replace(/[^A-Za-z0-9_-]/g, '_');
+  if ( ! name ) {
+    throw new Error("Every layer must include a table or id for datasources of type '" + datasource.type + "'");
+  }
+  return name;
+}
+
+// Map properties known to the reference of the given mapnik version,
+// or to the latest one for versions it has no reference of
+function mapPropertiesOf(mapnik_version) {
+  var reference = mapnik_reference.version[mapnik_version] || mapnik_reference.version.latest;
+  return reference.symbolizers.map;
+}
+
+// `value` escaped for use in XML attributes
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+                      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Value of a Map property for carto, which writes the Map attributes
+// as their values print, unescaped, and passes scalar values of the
+// MML through as Parameters too: an object printing the escaped value
+function mapPropertyValue(value) {
+  var escaped = xmlEscape(value);
+  return { toString: function() { return escaped; } };
+}
+
 // MML builder interface
 //
-// `redis` should be an instance of RedisPool
+// `storage` should be a storage backend, like RedisStorage
+//           (see redis_storage.js for the interface)
 //
 // opts must have:
 // `dbname`    - name of database
+//               (optional when no layer uses PostGIS, see `datasource`)
 // `table` - name of table with geospatial data
+//           (optional when `layers` or a non-PostGIS `datasource`
+//           is given, see below)
 // 
 // opts may have:
-// `sql`             - sql to constrain the map by
-// `geom_type`       - [polygon|point] to specify which default style to use
+// `sql`             - sql to constrain the map by. May be a template with
+//                     `{{name}}` or `{{name:type}}` placeholders, see
+//                     sql_template.js
+// `sql_params`      - values of the sql template parameters, by name
+// `datasource`      - overrides of datasource settings, or the full
+//                     descriptor of a datasource of another Mapnik plugin
+//                     when its `type` is not "postgis", e.g.
+//                       {type: 'shape', file: '/data/world.shp', srid: 4326}
+//                     `srid` defaults to 4326 for such datasources.
+//                     Storage keys use "@<type>" in place of the database
+//                     and `table`, if given, or the `file` (plus ":<table>"
+//                     or ":<layer>" if any) as the map name. The layer is
+//                     named after the table (or layer) or the file base name.
+// `geom_type`       - [polygon|point] to specify which default style to use,
+//                     see `geometry_resolver` below. Defaults to point.
 // `style`           - Carto style to override the built in style store
 // `style_version`   - Version of the carto style override
 // `mapnik_version`  - Target version of mapnik, defaults to ``latest``
+// `theme`           - Name of the theme of default styles, see
+//                     optional_args.themes. A database default style
+//                     (see MMLStore.setDatabaseStyle) takes precedence.
+// `layers`          - Ordered array of layers making up a composite map.
+//                     Each element must have a `table` (see `datasource`)
+//                     and may have:
+//                       `id`            - layer name, defaults to `table`
+//                       `sql`           - sql to constrain the layer by
+//                       `sql_params`    - sql template parameters, extending
+//                                         opts.sql_params
+//                       `datasource`    - overrides of datasource settings,
+//                                         or a non-PostGIS descriptor (in
+//                                         which case `table` is optional)
+//                       `geom_type`     - geometry type for default styling,
+//                                         defaults to opts.geom_type
+//                       `style`         - Carto style override for the layer
+//                       `style_version` - Version of the layer style override
+//                     When `table` is also given it names the composite map,
+//                     otherwise the layer ids joined by comma are used.
+//                     Styles of composite maps are arrays with one CartoCSS
+//                     per layer, in layer order.
+// `map`             - Map settings, overriding those of optional_args.map.
+//                     Maps with settings of their own are stored under
+//                     extended keys.
+// `interactivity`   - UTFGrid interactivity settings, an object with:
+//                       `layer`  - id of the interactive layer, optional
+//                                  for single layer maps
+//                       `fields` - array (or comma separated list) of
+//                                  the fields to attach to grid features
 //
 // @param optional_args
 //     You may pass in a third argument to override grainstore defaults. 
-//     `map` specifies the output map projection.
+//     `map` specifies the output map projection (`srid`), the
+//           `parameters` of the map, e.g. {bounds: [-180,-85,180,85],
+//           center: [0,0,2], minzoom: 0, maxzoom: 18}, and any other
+//           Map property of the target mapnik version, with either
+//           dashes or underscores, e.g. `background-color`,
+//           `buffer_size`, `maximum-extent` or `font-directory`
+//           (unknown ones throw). Map {} rules of styles take
+//           precedence over these properties. Values may be asset
+//           references, see `assets`.
+//     `external_resources` policy for external resources of styles,
+//              like url(http://...) marker files, and for remote files
+//              of datasources: an object with
+//              `offline`, `allow`, `max_size` and `timeout` settings,
+//              see resource_policy.js. Violations are reported as
+//              style errors, by render and setStyle. Millstone fetches
+//              them with no restriction if not set.
+//     `assets` local files and directories by name, for styles to
+//              reference as "asset://<name>[/<path>]", see assets.js.
+//              E.g. a fonts directory can be registered and used as
+//              map `font-directory`, for text-face-name to find them.
 //     `datasource` specifies postgis details from Mapnik postgis plugin:
 //                  https://github.com/mapnik/mapnik/wiki 
 //     `styles` specifies the default styles
 //     `cachedir` is base directory to put localized external resources into
+//     `millstone_cache` a MillstoneCache (see millstone_cache.js) managing
+//                the directories of localized resources within `cachedir`.
+//                MMLStore creates one from its own `millstone_cache`
+//                settings, builders make their own otherwise.
+//     `lazy_xml` if true, XML is only generated on toXML calls: the
+//                constructor does not initialize the store and setStyle
+//                only checks the style syntax and external resources
+//                before storing it
+//     `style_history` number of style revisions to keep for each base
+//                     style, defaults to 10. Use 0 to keep none.
+//     `interactivity` default for opts.interactivity
+//     `themes` default styles themes by name, see default_styles.js
+//     `namespace` prefix of all storage keys, for several environments
+//                to share a storage, see store_keys.js
+//     `tenant`   tenant owning the styles, isolating its storage keys
+//                from those of other tenants within the namespace
+//     `invalidation_channel` channel to publish style changes on, for
+//                other processes to drop cached XML (see
+//                MMLStore.subscribe). Defaults to "map_style_invalidation",
+//                prefixed like storage keys, use false to publish nothing.
+//     `xml_cache` an LRUCache (see lru_cache.js) of XML by store key and
+//                mapnik version, checked by init before the storage.
+//                MMLStore creates one from its own `xml_cache` settings.
+//     `single_flight` a SingleFlight (see single_flight.js) shared by
+//                builders, for concurrent init calls of the same store
+//                key to run only once. MMLStore provides one.
+//     `extended_key_ttl` seconds for extended keys (see makeExtendedKey)
+//                to live after their last use, or forever if not set.
+//                Needs a storage supporting expiration.
+//     `max_extended_keys` number of extended keys to keep for each base
+//                key, evicting the least recently used ones. No limit
+//                if not set.
+//     `render_lock` if set, XML generation takes a lock in the storage,
+//                so that processes sharing it don't generate the same
+//                XML at once. Others wait for the XML to be stored.
+//                Either true or an object with `ttl`, milliseconds
+//                before the lock expires (10000), and `retry`,
+//                milliseconds between checks while waiting (100).
+//                Needs a storage supporting locks, like RedisStorage.
+//     `metrics` statsd-like hook to report metrics to, see metrics.js.
+//                Reported by init:
+//                  `xml_cache.hit`, `xml_cache.miss` - xml_cache lookups
+//                  `store.hit` - current XML found in the storage
+//                  `regenerate.<reason>` - XML generated because of
+//                     no stored record (`no_record`), no stored XML
+//                     (`no_xml`) or a stored XML for another mapnik
+//                     version (`xml_version`)
+//                  `render.default_style` - XML generated from a
+//                     default style, the map having no style yet
+//                Reported by render:
+//                  `render.millstone` - external resources resolution time
+//                  `render.carto` - carto compilation time
+//                  `render.xml_bytes` - size of the generated XML
+//                Reported by the millstone_cache, see millstone_cache.js
+//     `theme` name of the theme to use by default, see opts.theme
+//     `geometry_resolver` function(layer, callback) finding out the
+//                geometry type of layers with no `geom_type`, when a
+//                default style is needed. `layer` has `id`, `table`,
+//                `sql`, `dbname` and `datasource` (as in baseMML) members.
+//                `callback(err, type)` takes any type name known to
+//                PostGIS or OGR, e.g. "ST_MultiLineString", see
+//                geometry_type.js. Layers resolved to no type, or to one
+//                with no default style for the mapnik version, use point.
 //
 //     eg.
 //     {
@@ -53,22 +252,126 @@ var _      = require('underscore'),
 //   init_callback(err, payload) will be invoked on complete initialization
 //   see me.init for more info
 //
-var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
+// Builders are EventEmitters, emitting (see MMLBuilder.events):
+//   `styleChanged`   - on setStyle, with `style` and `version`
+//   `styleDeleted`   - on delStyle
+//   `xmlRegenerated` - when init generates XML, with the `key` it is
+//                      stored under, `mapnik_version` and `reason`: no
+//                      stored record (`no_record`), no stored XML
+//                      (`no_xml`) or stored XML for another mapnik
+//                      version (`xml_version`)
+//   `renderError`    - when a style does not render, with the `error`
+//   `convertedStyle` - when a style is converted to the target mapnik
+//                      version by StyleTrans, with `from_version`,
+//                      `to_version` and the converted `style`
+// Listeners get an object with `db` and `table` members, those of the
+// base key, plus the members above.
+//
+var MMLBuilder = function(storage, opts, optional_args, init_callback){
 
     // The init_callback parameter is optional
     init_callback = init_callback || function() {};
 
     // core variables
     var opts = opts || {};
-    var opt_keys = _.keys(opts);
-    if (!_.include(opt_keys,'dbname') || !_.include(opt_keys, 'table'))
-        throw new Error("Options must include dbname and table");
-    var geom_type      = opts.geom_type || 'point';   // geom type for default styling
+    var multilayer = _.isArray(opts.layers);
+    if ( multilayer && _.isEmpty(opts.layers) )
+        throw new Error("Options must include a non-empty layers array");
+    var geom_type      = opts.geom_type;   // geom type for default styling, see geometry_resolver
+
+    // Layers making up the map, in rendering order.
+    // A single table builder has a single layer.
+    var layers = _.map(multilayer ? opts.layers : [ opts ], function(l) {
+      if ( ! l ) throw new Error("Every layer must include a table");
+      var standalone = isStandaloneDatasource(l.datasource);
+      if ( standalone ) {
+        if ( l.sql ) throw new Error("Layer sql needs a PostGIS datasource");
+      } else if ( ! l.table ) {
+        throw new Error(multilayer ? "Every layer must include a table" : "Options must include dbname and table");
+      }
+      var sql = l.sql, sql_template, sql_params = null;
+      if ( sql && SqlTemplate.isTemplate(sql) ) {
+        // Only the parameters used by the template, in a stable order,
+        // so they can be part of storage keys
+        var given_params = _.extend({}, multilayer ? opts.sql_params : {}, l.sql_params);
+        sql_template = sql;
+        sql = SqlTemplate.render(sql_template, given_params);
+        sql_params = _.map(SqlTemplate.names(sql_template).sort(), function(name) {
+          return [ name, given_params[name] ];
+        });
+      }
+      return {
+        id: l.id || l.table || datasourceLayerName(l.datasource),
+        table: l.table,
+        sql: sql,
+        sql_template: sql_template,
+        sql_params: sql_params,
+        datasource: l.datasource,
+        standalone: standalone,
+        geom_type: l.geom_type || geom_type // resolved on init when not given
+      };
+    });
+    if ( _.uniq(_.pluck(layers, 'id')).length != layers.length )
+      throw new Error("Layer ids must be unique");
+
+    // A database is only needed when there are PostGIS layers
+    if ( ! opts.dbname && ! _.all(layers, function(l) { return l.standalone; }) ) {
+      throw new Error(multilayer
+        ? "Options must include dbname and a non-empty layers array"
+        : "Options must include dbname and table");
+    }
+
+    // UTFGrid interactivity, null when not requested
+    var interactivity = null;
+    var interactivity_opts = opts.interactivity || ( optional_args && optional_args.interactivity );
+    if ( interactivity_opts ) {
+      var fields = interactivity_opts.fields;
+      if ( _.isString(fields) ) fields = fields.split(',');
+      fields = _.compact(_.map(fields || [], function(f) { return String(f).trim(); }));
+      if ( _.isEmpty(fields) ) throw new Error("Interactivity must include a list of fields");
+      var interactive_layer = interactivity_opts.layer || ( multilayer ? null : layers[0].id );
+      if ( ! _.include(_.pluck(layers, 'id'), interactive_layer) )
+        throw new Error("Interactivity layer must be one of the map layers");
+      interactivity = { layer: interactive_layer, fields: fields.join(',') };
+    }
+
+    // Name of the map, used in storage keys
+    var map_name = opts.table || ( multilayer
+      ? _.pluck(layers, 'id').join(',')
+      : datasourceSourceName(opts.datasource) );
+
+    // Database part of storage keys, the datasource types for maps
+    // with no PostGIS layers (e.g. "@shape")
+    var key_db = opts.dbname || '@' + _.uniq(_.map(layers, function(l) {
+      return l.datasource.type;
+    })).join(',');
 
     var extra_config          = optional_args           || {};
 
     var target_mapnik_version = extra_config.mapnik_version || '2.0.2';
     var default_style_version = extra_config.default_style_version || '2.0.0';
+    var lazy_xml              = extra_config.lazy_xml ? true : false;
+    var max_revisions         = _.isUndefined(extra_config.style_history) ? 10 : extra_config.style_history;
+    var geometry_resolver     = extra_config.geometry_resolver;
+    var store_keys            = new StoreKeys(extra_config);
+    var invalidation_channel  = _.isUndefined(extra_config.invalidation_channel)
+                                ? store_keys.channel(MMLBuilder.invalidation_channel)
+                                : extra_config.invalidation_channel;
+    var xml_cache             = extra_config.xml_cache;
+    var metrics               = new Metrics(extra_config.metrics);
+    var assets                = extra_config.assets || {};
+    var resource_policy       = extra_config.external_resources
+                                ? new ResourcePolicy(extra_config.external_resources) : null;
+    var single_flight         = extra_config.single_flight;
+    var millstone_cache       = extra_config.millstone_cache || new MillstoneCache({
+                                  dir: extra_config.cachedir, metrics: extra_config.metrics,
+                                  namespace: store_keys.namespace, tenant: store_keys.tenant });
+    var extended_key_ttl      = extra_config.extended_key_ttl;
+    var max_extended_keys     = extra_config.max_extended_keys;
+    var render_lock           = extra_config.render_lock
+      ? _.defaults(_.isObject(extra_config.render_lock) ? _.clone(extra_config.render_lock) : {},
+                   { ttl: 10000, retry: 100 })
+      : null;
 
     // configure grainstore from optional args passed + defaults
     var grainstore_defaults = {
@@ -89,36 +392,23 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
         }
     };
 
-    if ( semver.satisfies(target_mapnik_version, '< 2.1.0') )
-    {
-      var def_style_point = " {marker-fill: #FF6600;marker-opacity: 1;marker-width: 8;marker-line-color: white;marker-line-width: 3;marker-line-opacity: 0.9;marker-placement: point;marker-type: ellipse;marker-allow-overlap: true;}";
-      var def_style_line = " {line-color:#FF6600; line-width:1; line-opacity: 0.7;}";
-      var def_style_poly = " {polygon-fill:#FF6600; polygon-opacity: 0.7; line-opacity:1; line-color: #FFFFFF;}";
-      grainstore_defaults.styles.point = '#' + opts.table + def_style_point;
-      grainstore_defaults.styles.polygon = '#' + opts.table + def_style_poly;
-      grainstore_defaults.styles.multipolygon = grainstore_defaults.styles.polygon;
-      grainstore_defaults.styles.multilinestring = '#' + opts.table + def_style_line;
-      grainstore_defaults.styles.version = '2.0.0';
-    }
-    else
-    {
-      var def_style_point = " {marker-fill: #FF6600;marker-opacity: 1;marker-width: 16;marker-line-color: white;marker-line-width: 3;marker-line-opacity: 0.9;marker-placement: point;marker-type: ellipse;marker-allow-overlap: true;}";
-      var def_style_line = " {line-color:#FF6600; line-width:1; line-opacity: 0.7;}";
-      var def_style_poly = " {polygon-fill:#FF6600; polygon-opacity: 0.7; line-opacity:1; line-color: #FFFFFF;}";
-
-      grainstore_defaults.styles.point = 
-        grainstore_defaults.styles.polygon = 
-        grainstore_defaults.styles.multipolygon = 
-        grainstore_defaults.styles.multilinestring = 
-        grainstore_defaults.styles.geometry = 
-        '#' + opts.table + '[mapnik-geometry-type=1]' + def_style_point +
-        '#' + opts.table + '[mapnik-geometry-type=2]' + def_style_line +
-        '#' + opts.table + '[mapnik-geometry-type=3]' + def_style_poly
-      ;
-      grainstore_defaults.styles.version = target_mapnik_version;
+    // Default styles theme
+    var theme_name = opts.theme || extra_config.theme;
+    var theme = null;
+    if ( theme_name ) {
+      var themes = extra_config.themes || {};
+      if ( ! themes.hasOwnProperty(theme_name) ) throw new Error("Unknown theme '" + theme_name + "'");
+      theme = themes[theme_name];
     }
 
-    var grainstore_map        = extra_config.map        || {};
+    // Built-in default styles for a layer named `name`
+    var makeDefaultStyles = function(name) {
+      return DefaultStyles.make(name, target_mapnik_version, theme);
+    };
+    _.extend(grainstore_defaults.styles, makeDefaultStyles(layers[0].id));
+
+    // Map settings of the builder override the configured ones
+    var grainstore_map        = _.extend({}, extra_config.map, opts.map);
     // NOTE: we clone this to avoid changing default settings with an override
     var grainstore_datasource = extra_config.datasource ? _.clone(extra_config.datasource) : {};
     var grainstore_styles     = extra_config.styles     || {};
@@ -127,101 +417,320 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
     grainstore_datasource = _.defaults(grainstore_datasource, grainstore_defaults.datasource);
     grainstore_styles     = _.defaults(grainstore_styles, grainstore_defaults.styles);
 
+    // Attributes of the Map element by carto property name,
+    // and Parameters of the map (see the `map` option)
+    var map_properties = {};
+    var known_map_properties = mapPropertiesOf(target_mapnik_version);
+    _.each(grainstore_map, function(value, name) {
+      if ( name == 'srid' || name == 'parameters' ) return;
+      var property = name.replace(/_/g, '-');
+      if ( ! _.has(known_map_properties, property) ) {
+        throw new Error("Unknown map property '" + name + "'");
+      }
+      if ( _.isString(value) && value.indexOf('asset://') === 0 ) value = Assets.resolve(value, assets);
+      map_properties[property] = mapPropertyValue(value);
+    });
+    var map_parameters = _.clone(grainstore_map.parameters || {});
+    _.each(map_parameters, function(value, name) {
+      if ( _.include(['srs', 'Layer', 'Stylesheet', 'interactivity'], name) || _.has(map_properties, name) ) {
+        throw new Error("Map parameter '" + name + "' is reserved");
+      }
+    });
+
     // Allow overriding db authentication with options
     if ( opts.dbuser ) grainstore_datasource.user = opts.dbuser;
     if ( opts.dbpassword ) grainstore_datasource.password = opts.dbpassword;
 
+    // Default styles of the given layer, by geometry type
+    var layerStyles = function(layer) {
+      if ( ! multilayer ) return grainstore_styles;
+      return _.defaults(_.clone(extra_config.styles || {}), makeDefaultStyles(layer.id));
+    };
+
+    // Default style for the given layer.
+    // Throws if there's no style for the layer geometry type.
+    var defaultLayerStyle = function(layer) {
+      var styles = layerStyles(layer);
+      var type = layer.geom_type || 'point';
+      if ( ! styles.hasOwnProperty(type) ) {
+        throw new Error("No style available for geometry of type '" + type + "'"); 
+      }
+      return styles[type];
+    };
+
+    // Find out the geometry type of layers with none given,
+    // using the geometry_resolver if any. Resolved types are
+    // remembered by the builder, those with no default style
+    // (e.g. "geometry" before mapnik 2.1.0) as "point".
+    // Calls callback(err) when done.
+    var resolveGeometryTypes = function(callback) {
+      var pending = geometry_resolver
+        ? _.filter(layers, function(l) { return ! l.geom_type; }) : [];
+      var mml_layers = _.isEmpty(pending) ? [] : me.baseMML().Layer;
+      var left = pending.length;
+      var error = null;
+      if ( ! left ) { callback(null); return; }
+      _.each(pending, function(l) {
+        var info = {
+          id: l.id,
+          table: l.table,
+          sql: l.sql,
+          dbname: opts.dbname,
+          datasource: mml_layers[_.indexOf(layers, l)].Datasource
+        };
+        geometry_resolver(info, function(err, type) {
+          if ( err ) { error = err; }
+          else {
+            type = GeometryType.normalize(type);
+            l.geom_type = type && layerStyles(l).hasOwnProperty(type) ? type : 'point';
+          }
+          if ( ! --left ) callback(error);
+        });
+      });
+    };
+
+    // Default style for the map, for when there's no stored one:
+    // the database default style, if any, or otherwise the default
+    // style of each layer geometry type.
+    // Calls callback(err, {style: style, version: version})
+    var loadDefaultStyle = function(callback) {
+      var fromGeometryTypes = function() {
+        resolveGeometryTypes(function(err) {
+          if ( err ) { callback(err); return; }
+          var style;
+          try {
+            style = multilayer ? _.map(layers, defaultLayerStyle)
+                               : defaultLayerStyle(layers[0]);
+          } catch (err) {
+            callback(err);
+            return;
+          }
+          callback(null, { style: style, version: grainstore_styles['version'] });
+        });
+      };
+      if ( ! db_default_store_key ) { fromGeometryTypes(); return; }
+      storage.get(db_default_store_key, function(err, data) {
+        if ( err ) { callback(err); return; }
+        if ( ! data ) { fromGeometryTypes(); return; }
+        var parsed = JSON.parse(data);
+        var style = _.map(layers, function(l) {
+          return DefaultStyles.forLayer(parsed.style, l.id);
+        });
+        callback(null, {
+          style: multilayer ? style : style[0],
+          version: parsed.version || default_style_version
+        });
+      });
+    };
+
+    // Transform a style (or array of per-layer styles) from the given
+    // version (or array of per-layer versions) to the target mapnik version.
+    // Throws on transformation error.
+    var transformStyle = function(style, version) {
+      if ( _.isArray(style) ) {
+        return _.map(style, function(s, i) {
+          return transformStyle(s, _.isArray(version) ? version[i] : version);
+        });
+      }
+      if ( ! version ) version = default_style_version;
+      if ( version == target_mapnik_version ) return style;
+      var t = new StyleTrans();
+      var converted = t.transform(style, version, target_mapnik_version);
+      emit('convertedStyle', { from_version: version, to_version: target_mapnik_version, style: converted });
+      return converted;
+    };
+
+    // Apply style overrides to the given style and version,
+    // returns an object with `style` and `version` members.
+    //
+    // Layers of composite maps with no style override
+    // keep the given style.
+    var applyStyleOverride = function(style, version) {
+      if ( ! multilayer ) {
+        return { style: style_override, version: style_version_override };
+      }
+      var merged = { style: [], version: [] };
+      _.each(layers, function(layer, i) {
+        if ( _.isNull(style_override[i]) ) {
+          merged.style.push(style[i]);
+          merged.version.push(_.isArray(version) ? version[i] : version);
+        } else {
+          merged.style.push(style_override[i]);
+          merged.version.push(style_version_override[i]);
+        }
+      });
+      return merged;
+    };
+
     // Millstone configuration
     //
     // Localized resources are not shared between "layers",
-    // so we can safely purge them whenever redis keys for the style
+    // so we can safely purge them whenever stored keys for the style
     // are purged (setStyle, delStyle)
     //
-    var millstone_cachedir = extra_config.cachedir || '/tmp/millstone'; 
-        millstone_cachedir += '/' + opts.dbname + '/' + opts.table;
-    var millstone_base_options = {
-        base:  millstone_cachedir +  '/base',
-        cache: millstone_cachedir + '/cache'
-    };
+    var millstone_base_options = millstone_cache.options(key_db, map_name);
 
     // MML Builder definition
-    var me = {};
+    var me = new EventEmitter();
+
+    // Replace the asset references (see assets.js) of the stylesheets
+    // of `mml` with local paths, and their external resources, as well
+    // as the remote files of datasources, with local copies if there's
+    // an `external_resources` policy. Calls callback(err) when done
+    var resolveAssets = function(mml, callback) {
+      Step(
+        function localizeLayers() {
+          if ( ! resource_policy ) return null;
+          resource_policy.localizeLayers(mml.Layer, millstone_base_options.cache, this);
+        },
+        function resolveStylesheets(err) {
+          if ( err ) throw err;
+          var group = this.group();
+          _.each(mml.Stylesheet, function(stylesheet) {
+            Assets.resolveStyle(stylesheet.data, stylesheet.id, assets, group());
+          });
+        },
+        function localizeResources(err, resolved) {
+          if ( err ) throw err;
+          var group = this.group();
+          _.each(mml.Stylesheet, function(stylesheet, i) {
+            if ( ! resource_policy ) { group()(null, resolved[i]); return; }
+            resource_policy.localizeStyle(resolved[i], stylesheet.id, millstone_base_options.cache, group());
+          });
+        },
+        function replaceStylesheets(err, resolved) {
+          if ( err ) throw err;
+          _.each(mml.Stylesheet, function(stylesheet, i) { stylesheet.data = resolved[i]; });
+          return null;
+        },
+        function finish(err) {
+          callback(err);
+        }
+      );
+    };
+
+    // Emit a builder event, see MMLBuilder.events
+    var emit = function(name, info) {
+      me.emit(name, _.extend({ db: key_db, table: map_name }, info));
+    };
 
-    // setup XML for this object in Redis. Either from base, or from defaults.
+    // setup XML for this object in the store. Either from base, or from defaults.
+    //
+    // Concurrent calls for the same store key and mapnik version share
+    // a single run when a `single_flight` is configured.
     //
     // @param callback(err, style_payload) gets called with the string version
     //        of the style payload, which can be parsed by JSON.parse
     //
     me.init = function(callback){
-        var that = this;
+        if ( ! single_flight ) { initFromStore(callback); return; }
         var store_key = extended_store_key || base_store_key;
-        var redis_client;
+        single_flight.run(store_key + '\n' + target_mapnik_version, initFromStore, callback);
+    };
+
+    var initFromStore = function(callback){
+        var that = me;
+        var store_key = extended_store_key || base_store_key;
+        var lock_token = null;
+        var base_data = null;
+        var reason; // why XML needs to be re-generated
         var style;
         var style_version;
         var xml;
         var xml_version;
         var style_only_in_base = ( store_key != base_store_key && _.isNull(style_override) );
+        var override_complete = ! _.isNull(style_override) &&
+                                ! _.any(multilayer ? style_override : [style_override], _.isNull);
+
+        var cache_key = store_key + '\n' + target_mapnik_version;
+        if ( xml_cache ) {
+          var cached = xml_cache.get(cache_key);
+          if ( ! _.isUndefined(cached) ) {
+            metrics.increment('xml_cache.hit');
+            millstone_cache.touch(key_db, map_name);
+            if ( store_key != base_store_key ) touchCachedExtendedKey(store_key);
+            process.nextTick(function() { callback(null, cached); });
+            return;
+          }
+          metrics.increment('xml_cache.miss');
+        }
 
         Step(
-            function getRedisClient(){
-                redis_pool.acquire(grainstore_styles.db, this);
-            },
-            function getStyleAndXML(err, data){
-                if (err) throw err;
-                redis_client = data;
-                redis_client.GET(store_key, this);
+            function getStyleAndXML(){
+                var next = this;
+                storage.get(store_key, function(err, data) {
+                  if ( err || ! _.isNull(data) || store_key == base_store_key ) { next(err, data); return; }
+                  migrateLegacyKey(next);
+                });
             },
             function initCheck(err, data){
                 if (err) throw err;
 
                 do { 
 
-                  if (_.isNull(data)) break; // no redis record
+                  reason = 'no_record';
+                  if (_.isNull(data)) break; // no stored record
 
+                  reason = 'no_xml';
                   var record = JSON.parse(data);
                   if ( ! record.xml ) break; // no XML in record
 
+                  reason = 'xml_version';
                   if ( ! record.xml_version ) break; // no xml_version in record
 
                   // XML target mapnik version mismatch
                   if ( record.xml_version != target_mapnik_version ) break;
 
                   // All checks passed, nothing more to do here
-                  if (!_.isUndefined(redis_client))
-                      redis_pool.release(grainstore_styles.db, redis_client);
-                  callback(err, data);
+                  metrics.increment('store.hit');
+                  millstone_cache.touch(key_db, map_name);
+                  if ( xml_cache ) xml_cache.set(cache_key, data);
+                  if ( store_key == base_store_key ) { callback(err, data); return; }
+                  touchExtendedKey(store_key, function() { callback(null, data); });
                   return;
 
                 } while (0);
 
                 // XML needs to be re-generated, go on
-                if ( !_.isNull(style_override) ) return null;
-
-                // Keep an eye on base_store_key so that if anyone
-                // changes the base style we don't override the
-                // rendered ones.
-                // See https://github.com/Vizzuality/grainstore/issues/27
-                redis_client.WATCH(base_store_key);
-                redis_client.GET(base_store_key, this);
-                return;
-
+                // once no other process is doing it
+                metrics.increment('regenerate.' + reason);
+                var next = this;
+                acquireRenderLock(store_key, function(err, token) {
+                  if ( err ) { next(err); return; }
+                  if ( _.isNull(token) ) {
+                    // Check again once the other process is done
+                    setTimeout(function() { initFromStore(callback); }, render_lock.retry);
+                    return;
+                  }
+                  lock_token = token;
+                  if ( override_complete ) next(null, null);
+                  else storage.get(base_store_key, next);
+                });
             },
-            function renderBaseStyleOrDefaultOrOverride(err, data){
+            function loadDefaultStyleIfNeeded(err, data){
                 if (err) throw err;
-                if (_.isNull(data)){
-                    if ( ! grainstore_styles.hasOwnProperty(geom_type) ) {
-                      throw new Error("No style available for geometry of type '" + geom_type + "'"); 
-                    }
-                    style = grainstore_styles[geom_type];
-                    style_version = grainstore_styles['version'];
+                base_data = _.isUndefined(data) ? null : data;
+                if ( _.isNull(base_data) && ! override_complete ) {
+                  metrics.increment('render.default_style');
+                  loadDefaultStyle(this);
+                }
+                else return null;
+            },
+            function renderBaseStyleOrDefaultOrOverride(err, default_style){
+                if (err) throw err;
+                if (_.isNull(base_data)){
+                    // A complete override needs no default style
+                    style = default_style ? default_style.style : null;
+                    style_version = default_style ? default_style.version : grainstore_styles['version'];
                 } else {
-                    var parsed = JSON.parse(data);
+                    var parsed = JSON.parse(base_data);
                     style = parsed.style;
                     style_version = parsed.version || default_style_version;
                 }
                 if (!_.isNull(style_override)){
-                    style = style_override;
-                    style_version = style_version_override;
+                    var overridden = applyStyleOverride(style, style_version);
+                    style = overridden.style;
+                    style_version = overridden.version;
                 }
                 that.render(style, this, style_version);
             },
@@ -229,113 +738,326 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
                 if (err) throw err;
                 xml = compiled_XML;
                 var tostore = {xml: compiled_XML, xml_version: target_mapnik_version };
+                // Base records holding a default style are stamped,
+                // see MMLStore.setDatabaseStyle
+                var defaulted = _.isNull(base_data) && _.isNull(style_override);
                 if ( store_key == base_store_key ) {
                   tostore.style = style;
                   tostore.version = style_version;
+                  if ( defaulted ) tostore.defaulted = true;
+                } else {
+                  tostore.key_source = extendedKeySource(true);
                 }
-                var payload = JSON.stringify(tostore);
-                var redis_transaction = redis_client.MULTI();
-                redis_transaction.SET(store_key, payload);
+                var values = {};
+                values[store_key] = JSON.stringify(tostore);
                 if ( style_only_in_base ) { 
-                  var tostore = {style: style, version: style_version};
-                  var payload = JSON.stringify(tostore);
-                  redis_transaction.SET(base_store_key, payload, this);
+                  var base_record = {style: style, version: style_version};
+                  if ( defaulted ) base_record.defaulted = true;
+                  values[base_store_key] = JSON.stringify(base_record);
                 }
-                // This transaction will have NO effect IFF
-                // the value of base_store_key changed since we
-                // looked at it. See WATCH above.
-                redis_transaction.EXEC(this);
+                var next = this;
+                var store = function(err) {
+                  if ( err ) { next(err); return; }
+                  if ( override_complete ) {
+                    // base style was not used, no need to check it
+                    storage.set(store_key, values[store_key], next);
+                    return;
+                  }
+                  // Only store if nobody changed the base style since
+                  // we looked at it, so that we don't override the
+                  // rendered ones.
+                  // See https://github.com/Vizzuality/grainstore/issues/27
+                  storage.compareAndSet(base_store_key, base_data, values, next);
+                };
+                // Register extended keys before writing them, so that
+                // setStyle and delStyle can find them
+                if ( store_key != base_store_key ) {
+                  storage.indexAdd(related_store_key, store_key, Date.now(), store);
+                } else {
+                  store(null);
+                }
+            },
+            function manageExtendedKeys(err, data){
+                if (err) throw err;
+                if ( store_key == base_store_key || data === false ) return data;
+                var next = this;
+                expireExtendedKey(store_key, function(err) {
+                  if ( err ) { next(err); return; }
+                  limitExtendedKeys(function(err) { next(err, data); });
+                });
             },
             function callbackExit(err, data){
-                // NOTE: data will be an array of responses
-                //       from each of the commands sent in
-                //       the transaction above.
-                if (!_.isUndefined(redis_client))
-                    redis_pool.release(grainstore_styles.db, redis_client);
-                callback(err, JSON.stringify({style: style, xml: xml}));
+                // NOTE: data will be false if the base style
+                //       changed and nothing was stored
+                var payload = JSON.stringify({style: style, xml: xml});
+                if ( ! err && data !== false && xml_cache ) xml_cache.set(cache_key, payload);
+                if ( ! err ) {
+                  emit('xmlRegenerated', { key: store_key, mapnik_version: target_mapnik_version, reason: reason });
+                }
+                releaseRenderLock(store_key, lock_token, function() {
+                  callback(err, payload);
+                });
             }
         );
     };
 
 
+    // Set the expiration of an extended key, if configured
+    var expireExtendedKey = function(key, callback) {
+      if ( ! extended_key_ttl ) { callback(null); return; }
+      storage.expire(key, extended_key_ttl, callback);
+    };
+
+    // Mark an extended key as used: extend its expiration and move it
+    // to the end of the eviction queue, if any is configured. Errors
+    // are ignored, the key being in use anyway.
+    var touchExtendedKey = function(key, callback) {
+      if ( ! extended_key_ttl && ! max_extended_keys ) { callback(null); return; }
+      storage.indexAdd(related_store_key, key, Date.now(), function() {
+        expireExtendedKey(key, function() {
+          pruneExpiredKeys(function() { callback(null); });
+        });
+      });
+    };
+
+    // Touch an extended key served from the xml_cache, at most once
+    // a second (or a tenth of its ttl, if shorter), not waiting for it
+    var touchCachedExtendedKey = function(key) {
+      if ( ! extended_key_ttl && ! max_extended_keys ) return;
+      var interval = Math.min(1000, extended_key_ttl ? extended_key_ttl * 100 : 1000);
+      var last = cache_hit_touches.get(key);
+      if ( last && Date.now() - parseInt(last, 10) < interval ) return;
+      cache_hit_touches.set(key, String(Date.now()));
+      touchExtendedKey(key, function() {});
+    };
+
+    // Unregister and delete the extended keys expired since their
+    // last use (their score in the index), for neither the index nor
+    // storages keeping expired values around (see fs_storage.js) to
+    // grow with keys gone
+    var pruneExpiredKeys = function(callback) {
+      if ( ! extended_key_ttl ) { callback(null); return; }
+      storage.indexRemoveBelow(related_store_key, Date.now() - extended_key_ttl * 1000, function(err, removed) {
+        if ( err || _.isEmpty(removed) ) { callback(err); return; }
+        storage.del(removed, callback);
+      });
+    };
+
+    // Unregister expired extended keys, and evict the least recently
+    // used ones beyond max_extended_keys
+    var limitExtendedKeys = function(callback) {
+      pruneExpiredKeys(function(err) {
+        if ( err || ! max_extended_keys ) { callback(err); return; }
+        evictExtendedKeys(callback);
+      });
+    };
+
+    var evictExtendedKeys = function(callback) {
+      storage.indexMembers(related_store_key, function(err, keys) {
+        if ( err || keys.length <= max_extended_keys ) { callback(err); return; }
+        var evicted = keys.slice(0, keys.length - max_extended_keys);
+        storage.del(evicted, function(err) {
+          if ( err ) { callback(err); return; }
+          storage.indexRemove(related_store_key, evicted, callback);
+        });
+      });
+    };
+
+    // Take the render lock of a store key, if configured and supported
+    // by the storage. Calls callback(err, token), token being null if
+    // the lock is held by someone else, true if there's no locking.
+    var acquireRenderLock = function(store_key, callback) {
+      if ( ! render_lock || ! storage.lock ) { callback(null, true); return; }
+      storage.lock(store_keys.lock(store_key), render_lock.ttl, callback);
+    };
+
+    // Errors releasing the lock are ignored, it will expire anyway
+    var releaseRenderLock = function(store_key, token, callback) {
+      if ( ! render_lock || ! storage.lock || ! token ) { callback(null); return; }
+      storage.unlock(store_keys.lock(store_key), token, function() { callback(null); });
+    };
+
     // render CartoCSS to Mapnik XML
     //
-    // @param style the CartoCSS
-    // @param version the version of the given CartoCSS
+    // @param style the CartoCSS, or an array of per-layer CartoCSS
+    //              for composite maps
+    // @param version the version of the given CartoCSS, or an array
+    //                of per-layer versions for composite maps
     // 
     me.render = function(style, callback, version){
+        renderStyle(style, callback, version, true);
+    };
 
-        if ( ! version ) version = default_style_version;
+    // Render, accounting for the localized resources in the
+    // millstone_cache (which may evict other maps) if `account`
+    var renderStyle = function(style, callback, version, account){
 
-        if ( version != target_mapnik_version ) {
-          try {
-            var t = new StyleTrans();
-            style = t.transform(style, version, target_mapnik_version);
-          }
-          catch (err) {
-            callback(err, null);
-            return;
-          }
-        }
+        var rendered = callback;
+        callback = function(err, output) {
+          if ( err ) emit('renderError', { error: err });
+          rendered(err, output);
+        };
 
-        var mml = this.toMML(style);
+        try {
+          style = transformStyle(style, version);
+        }
+        catch (err) {
+          callback(err, null);
+          return;
+        }
 
-        var millstone_options = _.extend({mml:mml}, millstone_base_options);
-        millstone.resolve(millstone_options, function(err, mml) {
-//console.log("Resolved mml: "); console.dir(mml);
+        var mml = me.toMML(style);
 
+        // Local assets and external resources are resolved first,
+        // for millstone not to try fetching them
+        resolveAssets(mml, function(err) {
           if ( err ) {
             callback(err, null);
             return;
           }
 
-          var carto_env = {};
-          var carto_options = { mapnik_version: target_mapnik_version };
+          var millstone_options = _.extend({mml:mml}, millstone_base_options);
+          var millstone_done = metrics.timer('render.millstone');
+          millstone.resolve(millstone_options, function(err, mml) {
+//console.log("Resolved mml: "); console.dir(mml);
+            millstone_done();
 
-          // carto.Renderer may throw during parse time (before nextTick is called)
-          // See https://github.com/mapbox/carto/pull/187
-          try { 
-          new carto.Renderer(carto_env, carto_options).render(mml, function(err, output){
-              callback(err, output);
-          });
-          } catch (err) { callback(err, null); }
+            if ( err ) {
+              callback(err, null);
+              return;
+            }
+
+            var carto_env = {};
+            var carto_options = { mapnik_version: target_mapnik_version };
+
+            // carto.Renderer may throw during parse time (before nextTick is called)
+            // See https://github.com/mapbox/carto/pull/187
+            var carto_done = metrics.timer('render.carto');
+            try { 
+            new carto.Renderer(carto_env, carto_options).render(mml, function(err, output){
+                carto_done();
+                if ( err ) { callback(err, null); return; }
+                metrics.histogram('render.xml_bytes', Buffer.byteLength(output));
+                if ( ! account ) { callback(null, output); return; }
+                // Failing to account for the resources only
+                // leaves the cache over its size limit
+                millstone_cache.update(key_db, map_name, function() {
+                  callback(null, output);
+                });
+            });
+            } catch (err) { callback(err, null); }
 
+          });
         });
 
 
     };
 
 
-    // Purge cache of localized resources for this store
+    // Check the given style would render, without storing anything.
+    //
+    // Runs style conversion, millstone resolution and carto compilation
+    // (see render), leaving the millstone_cache accounting alone, and reports problems as structured style errors
+    // (see style_errors.js).
+    //
+    // @param style the CartoCSS, or an array of per-layer CartoCSS
+    //              for composite maps
+    // @param version the version of the given CartoCSS (optional).
+    //                A conversion warning is only given for versions
+    //                explicitly given and other than the target one.
+    // @param callback function(err, errors) errors is an array of
+    //                 errors and warnings, empty if the style is fine
+    //
+    me.validateStyle = function(style, version, callback) {
+      if ( _.isFunction(version) ) {
+        callback = version;
+        version = undefined;
+      }
+      var given_version = version;
+      if ( ! version ) version = default_style_version;
+
+      var issues = [];
+
+      if ( multilayer && ( ! _.isArray(style) || style.length != layers.length ) ) {
+        issues = StyleErrors.parse("Style of a composite map must be an array with one CartoCSS per layer");
+        callback(null, issues);
+        return;
+      }
+
+      if ( _.any(_.isArray(given_version) ? given_version : [given_version],
+                 function(v) { return v && v != target_mapnik_version; }) ) {
+        issues = issues.concat(StyleErrors.parse("Style will be converted from version "
+          + version + " to " + target_mapnik_version, 'warning'));
+      }
+
+      renderStyle(style, function(err) {
+        if ( err ) issues = issues.concat(StyleErrors.parse(err));
+        callback(null, issues);
+      }, version, false);
+    };
+
+    // Check syntax of the given style, or array of per-layer styles,
+    // without compiling it, and its external resources against the
+    // `external_resources` policy, without fetching them. Throws on
+    // syntax errors and resources not allowed.
+    var checkStyle = function(style) {
+      var mml = me.toMML(style);
+      _.each(mml.Stylesheet, function(stylesheet) {
+        carto.Parser({ filename: stylesheet.id }).parse(stylesheet.data);
+      });
+      if ( resource_policy ) {
+        var err = resource_policy.checkMML(mml);
+        if ( err ) throw err;
+      }
+    };
+
+    // Purge cache of localized resources for this store,
+    // removing both the millstone "base" and "cache" directories
     me.purgeLocalizedResourceCache = function(callback)
     {
-      // TODO: check if "base" should also be cleared
-      var toclear = millstone_cachedir + '/cache';
-      fs.readdir(toclear, function(err, files) {
-        if ( err ) {
-          if ( err.code != 'ENOENT' ) callback(err)
-          else callback(null); // nothing to clear
-        }
-        else {
-          var left = files.length;
-          if ( ! left ) callback(null);
-          _.each(files, function(name) {
-            var file = toclear + '/' + name;
-            //console.log("Unlinking " + file);
-            fs.unlink(file, function(err) {
-              if (err) console.log("Error unlinking " + file + ": " + err);
-              if ( ! --left ) callback(null);
-            });
-          });
-        }
-      });
+      millstone_cache.purge(key_db, map_name, callback);
+    };
+
+    // Drop the stored XML of the base and extended keys, keeping
+    // the style, so that it's generated again on next use. Used
+    // when the localized resources it references are evicted,
+    // see millstone_cache.js
+    me.dropXML = function(callback){
+        Step(
+            function getBaseRecord(){
+                storage.get(base_store_key, this);
+            },
+            function stripXML(err, data){
+                if (err) throw err;
+                var record = data ? JSON.parse(data) : null;
+                if ( ! record || ! record.xml ) return null;
+                delete record.xml;
+                delete record.xml_version;
+                var values = {};
+                values[base_store_key] = JSON.stringify(record);
+                // A base style changed meanwhile has XML for the new resources
+                storage.compareAndSet(base_store_key, data, values, this);
+            },
+            function deleteRelatedKeys(err){
+                if (err) throw err;
+                deleteRelated(this);
+            },
+            function publish(err, deleted){
+                if (err) throw err;
+                invalidate([base_store_key].concat(deleted || []), this);
+            },
+            function callbackExit(err){
+                callback(err);
+            }
+        );
     };
 
     // Re-generate Mapnik XML from current MML.
+    // Default styles stay marked as such (see MMLStore.setDatabaseStyle).
     me.resetStyle = function(callback, convert){
-      var that = this;
-      that.getStyle(function(err, style) {
-        return that.setStyle(style.style, callback, style.version, convert);
+      me.getStyle(function(err, style) {
+        if ( err ) { callback(err); return; }
+        storeStyle(style.style, callback, style.version, convert, style.defaulted);
       });
     };
 
@@ -346,17 +1068,28 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
     // generates XML and stores it on base key
     // deletes all associated extended_store_keys as they
     // need to be regenerated
+    //
+    // In lazy_xml mode only the style syntax and its external resources
+    // are checked, and XML generation is left to the next toXML call.
     me.setStyle = function(style, callback, version, convert){
-        var that = this
-            , redis_client
+        storeStyle(style, callback, version, convert, false);
+    };
+
+    // Store a style, marked as a default one if `defaulted`
+    var storeStyle = function(style, callback, version, convert, defaulted){
+        var that = me
             , compiled_XML;
 
         if ( ! version ) version = default_style_version;
 
+        if ( multilayer && ( ! _.isArray(style) || style.length != layers.length ) ) {
+          callback(new Error("Style of a composite map must be an array with one CartoCSS per layer"), null);
+          return;
+        }
+
         if ( convert && version != target_mapnik_version ) {
           try {
-            var t = new StyleTrans();
-            style = t.transform(style, version, target_mapnik_version);
+            style = transformStyle(style, version);
             version = target_mapnik_version;
           }
           catch (err) {
@@ -372,124 +1105,237 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
             },
             function renderMapnikStylesheet(err){
                 if (err) throw err;
+                if ( lazy_xml ) {
+                  // XML will be generated on next toXML call
+                  checkStyle(transformStyle(style, version));
+                  return null;
+                }
                 that.render(style, this, version);
             },
-            function getRedisClient(err, data){
-                if (err) throw err;
-                compiled_XML = data;
-                redis_pool.acquire(grainstore_styles.db, this);
-            },
             function storeStyleAndXML(err, data){
                 if (err) throw err;
-                redis_client = data;
+                compiled_XML = data;
                 if ( _.isNull(style_override) )  {
-                  redis_client.SET(base_store_key, JSON.stringify({
-                    style: style,
-                    version: version,
-                    xml: compiled_XML,
-                    xml_version: target_mapnik_version}), this);
+                  var tostore = { style: style, version: version };
+                  if ( defaulted ) tostore.defaulted = true;
+                  if ( ! lazy_xml ) {
+                    tostore.xml = compiled_XML;
+                    tostore.xml_version = target_mapnik_version;
+                  }
+                  var next = this;
+                  storage.set(base_store_key, JSON.stringify(tostore), function(err) {
+                    if ( err ) { next(err); return; }
+                    addRevision(style, version, next);
+                  });
                 } else {
-                  // Don't bother setting anything in redis as redis keys
+                  // Don't bother storing anything as extended keys
                   // are going to be killed anyway, but tweak the
                   // extended_store_key anyway so next call to toXML
                   // won't recreate the old key
                   style_override = style;
-                  style_version_override = version;
+                  style_version_override = multilayer
+                    ? _.map(layers, function() { return version; })
+                    : version;
                   extended_store_key = that.makeExtendedKey();
                   return null;
                 }
             },
-            function getRelatedKeys(err, data){
+            function deleteRelatedKeys(err, data){
                 if (err) throw err;
-                redis_client.KEYS(base_store_key + '|*', this);
+                deleteRelated(this);
             },
-            function deleteRelatedKeys(err, data){
+            function publish(err, deleted){
                 if (err) throw err;
-                if (_.isEmpty(data)) {
-                    return null;
-                } else {
-                    redis_client.DEL(data, this);
-                }
+                var keys = _.isNull(style_override) ? [base_store_key] : [];
+                invalidate(keys.concat(deleted || []), this);
             },
-            function callbackExit(err, data){
-                if (!_.isUndefined(redis_client))
-                    redis_pool.release(grainstore_styles.db, redis_client);
-                callback(err, data);
+            function callbackExit(err){
+                if ( ! err ) emit('styleChanged', { style: style, version: version });
+                callback(err);
             }
         );
     };
 
-    // Delete style caches from redis
+    // Delete style caches from the store
     // NOTE: deletes both _base_ and _related_ keys
     me.delStyle = function(callback){
-        var that = this
-            , redis_client;
+        var that = this;
 
         Step(
             // Purge millstone cache before refilling it
             function purgeCache(){
                 that.purgeLocalizedResourceCache(this);
             },
-            function getRedisClient(err){
+            function DelStyleAndXML(err){
                 if (err) throw err;
-                redis_pool.acquire(grainstore_styles.db, this);
+                storage.del([base_store_key, history_store_key], this);
             },
-            function DelStyleAndXML(err, data){
+            function deleteRelatedKeys(err, data){
                 if (err) throw err;
-                redis_client = data;
-                redis_client.DEL(base_store_key, this);
+                deleteRelated(this);
             },
-            function getRelatedKeys(err, data){
+            function publish(err, deleted){
                 if (err) throw err;
-                redis_client.KEYS(base_store_key + '|*', this);
-            },
-            function deleteRelatedKeys(err, data){
-                if (err) throw err;
-                if (_.isEmpty(data)) {
-                    return null;
-                } else {
-                    redis_client.DEL(data, this);
-                }
+                invalidate([base_store_key].concat(deleted || []), this);
             },
-            function callbackExit(err, data){
-                if (!_.isUndefined(redis_client))
-                    redis_pool.release(grainstore_styles.db, redis_client);
-                callback(err, data);
+            function callbackExit(err){
+                if ( ! err ) emit('styleDeleted', {});
+                callback(err);
             }
         );
     };
 
+    // Delete extended keys of this base key, as registered
+    // in the related keys index by init.
+    // Calls callback(err, deleted_keys)
+    var deleteRelated = function(callback) {
+      storage.indexMembers(related_store_key, function(err, keys) {
+        if ( err || _.isEmpty(keys) ) { callback(err, []); return; }
+        storage.del(keys, function(err) {
+          if ( err ) { callback(err); return; }
+          // Only unregister the keys we deleted,
+          // others may have been registered meanwhile
+          storage.indexRemove(related_store_key, keys, function(err) {
+            callback(err, keys);
+          });
+        });
+      });
+    };
+
+    // Drop cached XML of the given style keys, have later init calls
+    // start afresh rather than join those in flight, and let other
+    // processes know they changed if the storage supports publishing
+    // (see redis_storage.js). Message is the JSON of an object with
+    // `db`, `table` and `keys` members, `db` and `table` being those
+    // of the base key.
+    var invalidate = function(keys, callback) {
+      if ( xml_cache ) MMLBuilder.uncacheKeys(xml_cache, keys);
+      if ( single_flight ) single_flight.forgetWhere(isCacheKeyOf(keys));
+      if ( ! invalidation_channel || ! storage.publish ) { callback(null); return; }
+      var message = { db: key_db, table: map_name, keys: keys };
+      storage.publish(invalidation_channel, JSON.stringify(message), function(err) {
+        callback(err);
+      });
+    };
+
+    // Append a revision to the style history, unless it's
+    // the same style and version of the latest revision.
+    var addRevision = function(style, version, callback) {
+      if ( ! max_revisions ) { callback(null); return; }
+      var attempts = 0;
+      var tryAdd = function() {
+        storage.get(history_store_key, function(err, data) {
+          if ( err ) { callback(err); return; }
+          var revisions = data ? JSON.parse(data) : [];
+          var last = _.last(revisions);
+          if ( last && _.isEqual(last.style, style) && _.isEqual(last.version, version) ) {
+            callback(null);
+            return;
+          }
+          revisions.push({
+            id: last ? last.id + 1 : 1,
+            style: style,
+            version: version,
+            timestamp: Date.now()
+          });
+          var values = {};
+          values[history_store_key] = JSON.stringify(_.last(revisions, max_revisions));
+          // Retry if someone else recorded a revision in the meantime
+          storage.compareAndSet(history_store_key, data, values, function(err, done) {
+            if ( err ) { callback(err); return; }
+            if ( done ) { callback(null); return; }
+            if ( ++attempts < 10 ) { tryAdd(); return; }
+            callback(new Error("Could not record style revision: too many concurrent changes"));
+          });
+        });
+      };
+      tryAdd();
+    };
+
+    // Read stored style revisions, oldest first
+    var getRevisions = function(callback) {
+      storage.get(history_store_key, function(err, data) {
+        if ( err ) { callback(err); return; }
+        callback(null, data ? JSON.parse(data) : []);
+      });
+    };
+
+    // @param callback function(err, revisions)
+    //                 revisions is an array of objects with "id",
+    //                 "version" and "timestamp" (milliseconds since
+    //                 the epoch) members, newest first
+    me.listRevisions = function(callback) {
+      getRevisions(function(err, revisions) {
+        if ( err ) { callback(err, null); return; }
+        callback(null, _.map(revisions.reverse(), function(r) {
+          return { id: r.id, version: r.version, timestamp: r.timestamp };
+        }));
+      });
+    };
+
+    // @param id identifier of the revision, as returned by listRevisions
+    // @param callback function(err, revision)
+    //                 revision is an object with "id", "style", "version"
+    //                 and "timestamp" members
+    me.getRevision = function(id, callback) {
+      getRevisions(function(err, revisions) {
+        if ( err ) { callback(err, null); return; }
+        var revision = _.find(revisions, function(r) { return r.id == id; });
+        if ( ! revision ) {
+          callback(new Error("Style revision '" + id + "' not found"), null);
+          return;
+        }
+        callback(null, revision);
+      });
+    };
+
+    // Set style back to the given revision.
+    // Re-generates XML and invalidates extended keys like setStyle does,
+    // the restored style becomes the latest revision.
+    //
+    // @param id identifier of the revision, as returned by listRevisions
+    me.rollbackStyle = function(id, callback){
+      var that = this;
+      that.getRevision(id, function(err, revision) {
+        if ( err ) { callback(err, null); return; }
+        that.setStyle(revision.style, callback, revision.version);
+      });
+    };
+
     // @param callback function(err, payload)
     //                 The payload is an object containing
     //                 "style" (CartoCSS) and "version" members
     //
     // @param convert if true it will return the style in the configured
     //                target mapnik version
+    //
+    // In lazy_xml mode no XML is generated: the stored style is read
+    // as it is, or the default style is given if none is stored yet.
     me.getStyle = function(callback, convert){
         var that = this;
-        var redis_client;
 
         Step(
             function initStyle(){
+                if ( lazy_xml ) return null;
                 that.init(this);
             },
-            function getRedisClient(err, data){
+            function getStyleAndXML(err, data){
                 if (err) throw err;
-                redis_pool.acquire(grainstore_styles.db, this);
+                storage.get(base_store_key, this);
             },
-            function getStyleAndXML(err, data){
+            function defaultStyleIfLazy(err, data){
                 if (err) throw err;
-                redis_client = data;
-                redis_client.GET(base_store_key, this);
+                if ( ! lazy_xml || ! _.isNull(data) ) return data;
+                var next = this;
+                loadDefaultStyle(function(err, style) {
+                  next(err, style ? JSON.stringify(style) : null);
+                });
             },
             function callbackExit(err, data){
-                if (!_.isUndefined(redis_client))
-                    redis_pool.release(grainstore_styles.db, redis_client);
                 if ( err ) { callback(err, null); return; }
                 var parsed = JSON.parse(data);
                 if ( convert && parsed.version != target_mapnik_version ) {
-                  var t = new StyleTrans();
-                  parsed.style = t.transform(parsed.style, parsed.version, target_mapnik_version);
+                  parsed.style = transformStyle(parsed.style, parsed.version);
                   parsed.version = target_mapnik_version;
                 }
                 callback(err, parsed);
@@ -508,13 +1354,20 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
         });
     };
 
+    // @param style the CartoCSS, or an array of per-layer CartoCSS
+    //              for composite maps
     me.toMML = function(style){
-        var stylesheet  = {};
-        stylesheet.id   = 'style.mss';
-        stylesheet.data = style;
+        var stylesheets;
+        if ( _.isArray(style) ) {
+          stylesheets = _.map(style, function(data, i) {
+            return { id: layers[i].id + '.mss', data: data };
+          });
+        } else {
+          stylesheets = [ { id: 'style.mss', data: style } ];
+        }
 
         var base_mml = this.baseMML();
-        base_mml.Stylesheet = [stylesheet];
+        base_mml.Stylesheet = stylesheets;
 
         return base_mml;
     };
@@ -527,48 +1380,214 @@ var MMLBuilder = function(redis_pool, opts, optional_args, init_callback){
         args = args || {};
         args = _.defaults(args, {use_sql: true});
 
-        var datasource     = _.clone(grainstore_datasource);
-        datasource.table   = (args.use_sql && !_.isUndefined(opts.sql)) ? opts.sql : opts.table;
-        datasource.dbname  = opts.dbname;
+        var mml_layers = _.map(layers, function(l) {
+          var datasource, srid;
+          if ( l.standalone ) {
+            // Descriptors of other plugins are used as given,
+            // but for `srid` which is not a datasource parameter
+            datasource = _.clone(l.datasource);
+            srid = datasource.srid || 4326;
+            delete datasource.srid;
+          } else {
+            datasource         = _.clone(grainstore_datasource);
+            datasource.table   = (args.use_sql && !_.isUndefined(l.sql)) ? l.sql : l.table;
+            datasource.dbname  = opts.dbname;
+            if ( l.datasource ) _.extend(datasource, l.datasource);
+            srid = datasource.srid;
+          }
 
-        var layer        = {};
-        layer.id         = opts.table;
-        layer.name       = opts.table;
-        layer.srs        = '+init=epsg:' + grainstore_datasource.srid; //layer.srs = srs.parse(layer.srs).proj4;
-        layer.Datasource = datasource;
+          var layer        = {};
+          layer.id         = l.id;
+          layer.name       = l.id;
+          layer.srs        = '+init=epsg:' + srid; //layer.srs = srs.parse(layer.srs).proj4;
+          layer.Datasource = datasource;
+          return layer;
+        });
 
         var mml   = {};
         mml.srs   = '+init=epsg:' + grainstore_map.srid; // mml.srs = srs.parse(mml.srs).proj4;
-        mml.Layer = [layer];
+        // Map properties are overridden by those of Map {} rules in styles
+        _.extend(mml, map_parameters, map_properties);
+        mml.Layer = mml_layers;
+        if ( interactivity ) mml.interactivity = _.clone(interactivity);
 
         return mml;
     };
 
     // Bases extended key on:
     //   base_store_key
-    //   opts.sql
+    //   opts.sql and opts.datasource (or sql and datasource of each layer),
+    //   sql templates counting as template plus parameters
     //   style_override
     //   style_version_override
-    //  
+    //   interactivity
+    //   opts.map
+    //
+    // the SHA1 digest of these being appended to base_store_key, so that
+    // keys have a fixed length. Their source is kept in the `key_source`
+    // member of extended records, without the datasource credentials
+    // (see credential_params): these count for the key, so that users
+    // don't share XML, but are not stored anywhere else than in the XML.
+    // XML stored under the base64 keys of older versions is moved to the
+    // new keys when first read.
     me.makeExtendedKey = function() {
-      if ( ! opts.sql && ! style_override ) return; // no extended key needed
-      var key = base_store_key;
-      if ( opts.sql ) key += '|' + base64.encode(opts.sql);
-      if ( style_override ) key += '|' + base64.encode(style_override + '|' + style_version_override);
-      return key;
-    }
+      var source = extendedKeySource();
+      if ( ! source ) return; // no extended key needed
+      var digest = crypto.createHash('sha1').update(JSON.stringify(source)).digest('hex');
+      return base_store_key + '|' + digest;
+    };
+
+    // What extended keys are made of, an object with `sql`, `style` and
+    // `interactivity` string members (null if not applicable), or
+    // undefined when no extended key is needed. Stored along with the
+    // XML of extended keys, with `redact` set to leave the datasource
+    // credentials out.
+    var extendedKeySource = function(redact) {
+      var datasourceSource = function(datasource) {
+        if ( ! datasource || ! redact ) return datasource;
+        datasource = _.clone(datasource);
+        _.each(credential_params, function(name) { delete datasource[name]; });
+        return datasource;
+      };
+      // SQL templates count as template plus parameters
+      var sqlSource = function(l) {
+        return l.sql_params ? [ l.sql_template, l.sql_params ] : l.sql;
+      };
+      var sources;
+      if ( multilayer ) {
+        if ( _.any(layers, function(l) { return l.sql || l.datasource; }) ) {
+          sources = JSON.stringify(_.map(layers, function(l) {
+            return [ sqlSource(l) || null, datasourceSource(l.datasource) || null ];
+          }));
+        }
+      } else if ( opts.datasource ) {
+        sources = JSON.stringify([ sqlSource(layers[0]) || null, datasourceSource(opts.datasource) ]);
+      } else if ( layers[0].sql_params ) {
+        sources = JSON.stringify(sqlSource(layers[0]));
+      } else {
+        sources = opts.sql;
+      }
+      if ( ! sources && ! style_override && ! interactivity && ! opts.map ) return; // no extended key needed
+      var source = { sql: sources || null, style: null, interactivity: null };
+      if ( opts.map ) source.map = JSON.stringify(opts.map);
+      if ( style_override ) {
+        source.style = multilayer
+          ? JSON.stringify(_.zip(style_override, style_version_override))
+          : style_override + '|' + style_version_override;
+      }
+      if ( interactivity ) {
+        source.interactivity = 'interactivity|' + interactivity.layer + '|' + interactivity.fields;
+      }
+      return source;
+    };
+
+    // Extended key as made by versions before 0.10.9, with the base64
+    // encoding of each part of the extended key source appended.
+    // Undefined if there can be none, those versions having no map
+    // settings per builder.
+    var makeLegacyExtendedKey = function() {
+      var source = extendedKeySource();
+      if ( ! source || source.map ) return;
+      return base_store_key + _.map(_.compact([source.sql, source.style, source.interactivity]), function(part) {
+        return '|' + base64.encode(part);
+      }).join('');
+    };
+
+    // Move the XML stored under the legacy extended key, if any and
+    // still current, to the extended key.
+    // Calls callback(err, data) with the moved record, or null.
+    var migrateLegacyKey = function(callback) {
+      var legacy_key = makeLegacyExtendedKey();
+      var store_key = extended_store_key;
+      if ( ! legacy_key ) { callback(null, null); return; }
+      var data, base_data;
+      Step(
+        function getLegacy() {
+          storage.get(legacy_key, this);
+        },
+        function getBase(err, legacy_data) {
+          if ( err ) throw err;
+          var record = legacy_data ? JSON.parse(legacy_data) : null;
+          if ( ! record || ! record.xml || record.xml_version != target_mapnik_version ) return false;
+          record.key_source = extendedKeySource(true);
+          data = JSON.stringify(record);
+          storage.get(base_store_key, this);
+        },
+        function register(err, base) {
+          if ( err ) throw err;
+          if ( base === false ) return false;
+          base_data = base;
+          storage.indexAdd(related_store_key, store_key, Date.now(), this);
+        },
+        function store(err, registered) {
+          if ( err ) throw err;
+          if ( registered === false ) return false;
+          var values = {};
+          values[store_key] = data;
+          // Not if the style changed meanwhile, legacy XML being stale then
+          storage.compareAndSet(base_store_key, base_data, values, this);
+        },
+        function delLegacy(err, done) {
+          if ( err ) throw err;
+          if ( ! done ) return false;
+          var next = this;
+          storage.del(legacy_key, function(err) {
+            if ( err ) { next(err); return; }
+            storage.indexRemove(related_store_key, legacy_key, next);
+          });
+        },
+        function finish(err, result) {
+          callback(err, err || result === false ? null : data);
+        }
+      );
+    };
 
     var style_override = opts.style ? opts.style : null;
     var style_version_override = opts.style_version ? opts.style_version : default_style_version;
+    if ( multilayer ) {
+      // One element per layer, null when the layer style is not overridden
+      style_override = _.map(opts.layers, function(l) { return l.style ? l.style : null; });
+      style_version_override = _.map(opts.layers, function(l) {
+        return l.style_version ? l.style_version : default_style_version;
+      });
+      if ( _.all(style_override, _.isNull) ) style_override = null;
+    }
 
-    // Redis storage keys
-    var base_store_key = 'map_style' + '|' + opts.dbname + '|' + opts.table;
+    // Storage keys
+    var base_store_key = store_keys.style(key_db, map_name);
+    var history_store_key = store_keys.history(key_db, map_name);
+    var related_store_key = store_keys.related(key_db, map_name);
+    var db_default_store_key = opts.dbname ? store_keys.databaseDefault(opts.dbname) : null;
     var extended_store_key = me.makeExtendedKey();
 
     //trigger constructor
-    me.init(init_callback);
+    if ( lazy_xml ) {
+      process.nextTick(function() { init_callback(null, null); });
+    } else {
+      me.init(init_callback);
+    }
 
     return me;
 };
 
+// Names of the events emitted by builders
+MMLBuilder.events = [ 'styleChanged', 'styleDeleted', 'xmlRegenerated', 'renderError', 'convertedStyle' ];
+
+// Default channel to publish style changes on
+MMLBuilder.invalidation_channel = 'map_style_invalidation';
+
+// Drop XML of the given storage keys from an `xml_cache`,
+// for every target mapnik version
+MMLBuilder.uncacheKeys = function(xml_cache, keys) {
+  xml_cache.delWhere(isCacheKeyOf(keys));
+};
+
+// Returns whether a "<store key>\n<mapnik version>" key, as those
+// of the xml_cache and single_flight, is one of the given store keys
+function isCacheKeyOf(keys) {
+  return function(cache_key) {
+    return _.include(keys, cache_key.substr(0, cache_key.lastIndexOf('\n')));
+  };
+}
+
 module.exports = MMLBuilder;
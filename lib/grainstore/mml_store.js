@@ -1,15 +1,311 @@
 var RedisPool  = require('./redis_pool')
-  , MMLBuilder = require('./mml_builder');
+  , RedisStorage = require('./redis_storage')
+  , MMLBuilder = require('./mml_builder')
+  , LRUCache   = require('./lru_cache')
+  , SingleFlight = require('./single_flight')
+  , StoreKeys  = require('./store_keys')
+  , MillstoneCache = require('./millstone_cache')
+  , PromiseBuilder = require('./promise_builder')
+  , EventEmitter = require('events').EventEmitter
+  , Q          = require('q')
+  , _          = require('underscore')
+  , Step       = require('step');
 
+// @param redis_opts
+//     Redis and pooling configuration, see redis_pool.js.
+//     The `metrics` hook of optional_args is used by default.
+//
+// @param optional_args
+//     Grainstore configuration, see mml_builder.js.
+//     `storage` may be given to use a storage backend other than
+//     Redis (see redis_storage.js for the interface), in which
+//     case redis_opts are ignored.
+//     `themes` may be given as with registerTheme, by name.
+//     `assets` may be given as with registerAsset, by name.
+//     `namespace` and `tenant` scope all the storage keys of the
+//     store, see store_keys.js.
+//     `xml_cache` enables an in-process cache of XML shared by all
+//     builders, an object with `max_entries` and `max_bytes` settings
+//     (see lru_cache.js). Entries are dropped on setStyle/delStyle
+//     and, if the storage supports subscriptions, on changes made by
+//     other processes too. See xmlCacheStats.
+//     `millstone_cache` settings of the directories of localized
+//     resources (see millstone_cache.js), shared by all builders:
+//     `max_bytes` limits their size, evicting the least recently
+//     used maps, whose XML is then generated again on next use.
+//     See sweepMillstoneCache too.
+//
+// Stores are EventEmitters, emitting the events of all the builders
+// they make (see MMLBuilder.events in mml_builder.js).
+//
 var MMLStore = function(redis_opts){  
 
-  var redis_pool = new RedisPool(redis_opts),
-      optional_args = arguments[1] || {},
-      me = {};
+  var me = new EventEmitter();
+
+  // Builders share the themes and assets objects, so that
+  // themes and assets registered later are available to them too
+  var themes = _.clone((arguments[1] || {}).themes || {});
+  var assets = _.clone((arguments[1] || {}).assets || {});
+  var optional_args = _.extend({}, arguments[1] || {}, {themes: themes, assets: assets});
+
+  var storage = optional_args.storage;
+  var redis_pool = null; // made by us, see close
+  if ( ! storage ) {
+    var styles_db = optional_args.styles ? optional_args.styles.db : 0;
+    var pool_opts = _.extend({metrics: optional_args.metrics}, redis_opts);
+    redis_pool = new RedisPool(pool_opts);
+    storage = new RedisStorage(redis_pool, styles_db);
+  }
+
+  // Subscriptions ended by close
+  var subscriptions = [];
+
+  // Concurrent init calls of builders for the same key run only once
+  optional_args.single_flight = optional_args.single_flight || new SingleFlight();
+
+  // Storage keys, within the `namespace` and `tenant` if given
+  var store_keys = new StoreKeys(optional_args);
+
+  var invalidation_channel = _.isUndefined(optional_args.invalidation_channel)
+                             ? store_keys.channel(MMLBuilder.invalidation_channel)
+                             : optional_args.invalidation_channel;
+
+  var xml_cache = null;
+  if ( optional_args.xml_cache ) {
+    xml_cache = new LRUCache(optional_args.xml_cache);
+    optional_args.xml_cache = xml_cache;
+    if ( invalidation_channel && storage.subscribe ) {
+      // Failing to subscribe leaves the cache to local changes only
+      storage.subscribe(invalidation_channel, function(message) {
+        var change;
+        try { change = JSON.parse(message); }
+        catch (err) { return; }
+        MMLBuilder.uncacheKeys(xml_cache, change.keys || []);
+      }, function(err, subscription) {
+        if ( subscription ) subscriptions.push(subscription);
+      });
+    }
+  }
+
+  // Localized resources of all builders, see sweepMillstoneCache
+  var millstone_cache = optional_args.millstone_cache = new MillstoneCache(_.extend({}, optional_args.millstone_cache, {
+    dir: optional_args.cachedir,
+    namespace: store_keys.namespace,
+    tenant: store_keys.tenant,
+    metrics: optional_args.metrics,
+    // XML of evicted maps references files that are gone
+    on_evict: function(db, map_name, callback) {
+      var builder_args = _.extend({}, optional_args, {lazy_xml: true});
+      forwardEvents(new MMLBuilder(storage, {dbname: db, table: map_name}, builder_args)).dropXML(callback);
+    }
+  }));
+
+  // Emit the events of a builder as our own
+  var forwardEvents = function(mml_builder) {
+    _.each(MMLBuilder.events, function(name) {
+      mml_builder.on(name, function(info) { me.emit(name, info); });
+    });
+    return mml_builder;
+  };
 
   // @param callback(err, payload) called on initialization
   me.mml_builder = function(opts, callback){
-    return new MMLBuilder(redis_pool, opts, optional_args, callback);
+    return forwardEvents(new MMLBuilder(storage, opts, optional_args, callback));
+  };
+
+  // Promise based version of mml_builder
+  //
+  // @return a promise resolving to an initialized PromiseBuilder
+  //         (see promise_builder.js) once the builder is initialized
+  me.builder = function(opts){
+    var deferred = Q.defer();
+    try {
+      var mml_builder = forwardEvents(new MMLBuilder(storage, opts, optional_args, function(err) {
+        if ( err ) deferred.reject(err);
+        else deferred.resolve(new PromiseBuilder(mml_builder));
+      }));
+    } catch (err) {
+      deferred.reject(err);
+    }
+    return deferred.promise;
+  };
+
+  // Subscribe to style changes made by any process sharing the storage,
+  // see the `invalidation_channel` option in mml_builder.js.
+  // Needs a storage supporting subscriptions, like RedisStorage.
+  //
+  // @param listener function(change) called for every change, `change`
+  //        having `db`, `table` and `keys` (affected storage keys) members
+  // @param callback(err, subscription) called once subscribed,
+  //        `subscription.unsubscribe(callback)` ending the subscription
+  me.subscribe = function(listener, callback) {
+    callback = callback || function() {};
+    if ( ! invalidation_channel || ! storage.subscribe ) {
+      callback(new Error("Style changes are not published with this configuration"));
+      return;
+    }
+    storage.subscribe(invalidation_channel, function(message) {
+      var change;
+      try { change = JSON.parse(message); }
+      catch (err) { return; } // not ours
+      listener(change);
+    }, function(err, subscription) {
+      if ( subscription ) subscriptions.push(subscription);
+      callback(err, subscription);
+    });
+  };
+
+  // End the subscriptions of the store, those of subscribe and of the
+  // xml_cache, and the Redis connections of the store unless it was
+  // given a `storage`, for the process to be able to exit. The store
+  // is not to be used afterwards.
+  //
+  // @param callback(err) called once done
+  me.close = function(callback) {
+    callback = callback || function() {};
+    var ending = subscriptions;
+    subscriptions = [];
+    Step(
+      function closeStorage() {
+        if ( ! redis_pool ) return null;
+        // Ends the subscriptions too
+        var next = this;
+        storage.close(function(err) {
+          redis_pool.destroyAll(function() { next(err); });
+        });
+      },
+      function unsubscribe(err) {
+        if ( err ) throw err;
+        var group = this.group();
+        _.each(ending, function(subscription) { subscription.unsubscribe(group()); });
+      },
+      function finish(err) {
+        callback(err);
+      }
+    );
+  };
+
+  // Returns hit/miss statistics of the XML cache (see lru_cache.js),
+  // null if there's no XML cache
+  me.xmlCacheStats = function() {
+    return xml_cache ? xml_cache.stats() : null;
+  };
+
+  // Remove the directories of localized resources of maps
+  // with no style in the storage anymore, e.g. those of tables
+  // deleted by other processes or older versions
+  //
+  // @param callback(err, removed) `removed` being objects with
+  //        `db` and `table` members
+  me.sweepMillstoneCache = function(callback) {
+    millstone_cache.sweep(function(db, map_name, done) {
+      storage.get(store_keys.style(db, map_name), function(err, data) {
+        done(err, !! data);
+      });
+    }, function(err, removed) {
+      callback(err, _.map(removed || [], function(map) {
+        return { db: map.db, table: map.map_name };
+      }));
+    });
+  };
+
+  // Register a theme of default styles, to be used by name
+  // with the `theme` option (see mml_builder.js)
+  //
+  // @param theme theme settings, see default_styles.js
+  me.registerTheme = function(name, theme) {
+    themes[name] = theme;
+  };
+
+  // Register a local file or directory, for styles to reference
+  // as "asset://<name>" or "asset://<name>/<path>" (see assets.js)
+  me.registerAsset = function(name, path) {
+    assets[name] = path;
+  };
+
+  // Calls callback(err, style) with the default style of the database,
+  // an object with "style" and "version" members, or null if none
+  me.getDatabaseStyle = function(dbname, callback) {
+    storage.get(store_keys.databaseDefault(dbname), function(err, data) {
+      callback(err, data ? JSON.parse(data) : null);
+    });
+  };
+
+  // Set the default style of all tables of a database with no style of
+  // their own. The `#table` selector of the style is replaced with the
+  // name of each table. Tables currently using a default style are
+  // reset so they pick up the new one.
+  //
+  // @param options object with `style` (the CartoCSS) and optional
+  //        `version` (of the CartoCSS) members, or the style alone
+  // @param callback(err) with any Carto compile errors
+  me.setDatabaseStyle = function(dbname, options, callback) {
+    if ( _.isString(options) ) options = { style: options };
+    var style = options.style;
+    var version = options.version;
+    var template_args = _.extend({}, optional_args, {lazy_xml: true});
+    var template_builder = new MMLBuilder(storage, {dbname: dbname, table: 'table'}, template_args);
+    Step(
+      function checkStyle() {
+        template_builder.render(style, this, version);
+      },
+      function storeStyle(err) {
+        if ( err ) throw err;
+        var record = {style: style};
+        if ( version ) record.version = version;
+        storage.set(store_keys.databaseDefault(dbname), JSON.stringify(record), this);
+      },
+      function resetDefaulted(err) {
+        if ( err ) throw err;
+        resetDefaultedStyles(dbname, this);
+      },
+      function finish(err) {
+        callback(err);
+      }
+    );
+  };
+
+  // Remove the default style of a database, resetting the
+  // tables using it to the default style of their geometry type
+  me.delDatabaseStyle = function(dbname, callback) {
+    storage.del(store_keys.databaseDefault(dbname), function(err) {
+      if ( err ) { callback(err); return; }
+      resetDefaultedStyles(dbname, callback);
+    });
+  };
+
+  // Delete the style records of tables of `dbname` using a default
+  // style, so that it is generated again on next use
+  var resetDefaultedStyles = function(dbname, callback) {
+    var prefix = store_keys.stylePrefix(dbname);
+    var builder_args = _.extend({}, optional_args, {lazy_xml: true});
+    Step(
+      function listKeys() {
+        storage.keys(prefix, this);
+      },
+      function getBaseRecords(err, keys) {
+        if ( err ) throw err;
+        var group = this.group();
+        _.each(keys, function(key) {
+          var parsed = store_keys.parse(key);
+          if ( ! parsed || parsed.extension ) return; // extended key
+          var next = group();
+          storage.get(key, function(err, data) {
+            next(err, data && JSON.parse(data).defaulted ? parsed.map_name : null);
+          });
+        });
+      },
+      function deleteDefaulted(err, map_names) {
+        if ( err ) throw err;
+        var group = this.group();
+        _.each(_.compact(map_names || []), function(map_name) {
+          forwardEvents(new MMLBuilder(storage, {dbname: dbname, table: map_name}, builder_args)).delStyle(group());
+        });
+      },
+      function finish(err) {
+        callback(err);
+      }
+    );
   };
 
   return me;    
@@ -0,0 +1,164 @@
+var _ = require('underscore')
+  , Q = require('q');
+
+// Call `fn` with a node-style callback,
+// returning a promise for the callback result
+function promised(fn) {
+  var deferred = Q.defer();
+  fn(function(err, result) {
+    if ( err ) deferred.reject(err);
+    else deferred.resolve(result);
+  });
+  return deferred.promise;
+}
+
+// Options objects may be given as the style alone
+function styleOptions(options) {
+  if ( _.isString(options) || _.isArray(options) ) return { style: options };
+  return options || {};
+}
+
+// Promise based interface to an MMLBuilder
+//
+// Every method returning a promise takes an optional options object
+// rather than positional parameters. Where a style is expected the
+// options object can be replaced by the style itself.
+//
+// @param mml_builder an initialized MMLBuilder
+//
+var PromiseBuilder = function(mml_builder) {
+
+  var me = {
+    builder: mml_builder // the callback based MMLBuilder
+  };
+
+  // Resolves to the parsed style payload, see MMLBuilder.init
+  me.init = function() {
+    return promised(function(callback) {
+      mml_builder.init(callback);
+    }).then(function(payload) {
+      return JSON.parse(payload);
+    });
+  };
+
+  // Resolves to the Mapnik XML rendering of the given style
+  //
+  // options:
+  // `style`   - CartoCSS (or array of per-layer CartoCSS)
+  // `version` - version of the given CartoCSS
+  me.render = function(options) {
+    options = styleOptions(options);
+    return promised(function(callback) {
+      mml_builder.render(options.style, callback, options.version);
+    });
+  };
+
+  // Resolves to the array of errors and warnings found in the given
+  // style, see MMLBuilder.validateStyle
+  //
+  // options:
+  // `style`   - CartoCSS (or array of per-layer CartoCSS)
+  // `version` - version of the given CartoCSS
+  me.validateStyle = function(options) {
+    options = styleOptions(options);
+    return promised(function(callback) {
+      mml_builder.validateStyle(options.style, options.version, callback);
+    });
+  };
+
+  // Stores the given style, see MMLBuilder.setStyle
+  //
+  // options:
+  // `style`   - CartoCSS (or array of per-layer CartoCSS)
+  // `version` - version of the given CartoCSS
+  // `convert` - if true convert the style to the target mapnik version
+  me.setStyle = function(options) {
+    options = styleOptions(options);
+    return promised(function(callback) {
+      mml_builder.setStyle(options.style, callback, options.version, options.convert);
+    });
+  };
+
+  // Resolves to an object with "style" and "version" members
+  //
+  // options:
+  // `convert` - if true return the style in the target mapnik version
+  me.getStyle = function(options) {
+    options = options || {};
+    return promised(function(callback) {
+      mml_builder.getStyle(callback, options.convert);
+    });
+  };
+
+  // Deletes base and related keys, see MMLBuilder.delStyle
+  me.delStyle = function() {
+    return promised(function(callback) {
+      mml_builder.delStyle(callback);
+    });
+  };
+
+  // Re-generates stored XML, see MMLBuilder.resetStyle
+  //
+  // options:
+  // `convert` - if true convert the style to the target mapnik version
+  me.resetStyle = function(options) {
+    options = options || {};
+    return promised(function(callback) {
+      mml_builder.resetStyle(callback, options.convert);
+    });
+  };
+
+  // Resolves to the list of style revisions, newest first,
+  // see MMLBuilder.listRevisions
+  me.listRevisions = function() {
+    return promised(function(callback) {
+      mml_builder.listRevisions(callback);
+    });
+  };
+
+  // Resolves to a style revision, see MMLBuilder.getRevision
+  //
+  // options:
+  // `id` - identifier of the revision
+  me.getRevision = function(options) {
+    options = options || {};
+    return promised(function(callback) {
+      mml_builder.getRevision(options.id, callback);
+    });
+  };
+
+  // Sets style back to a revision, see MMLBuilder.rollbackStyle
+  //
+  // options:
+  // `id` - identifier of the revision
+  me.rollbackStyle = function(options) {
+    options = options || {};
+    return promised(function(callback) {
+      mml_builder.rollbackStyle(options.id, callback);
+    });
+  };
+
+  // Resolves to the Mapnik XML
+  me.toXML = function() {
+    return promised(function(callback) {
+      mml_builder.toXML(callback);
+    });
+  };
+
+  // Returns (synchronously) the MML for the given style
+  //
+  // options:
+  // `style`   - CartoCSS (or array of per-layer CartoCSS)
+  me.toMML = function(options) {
+    return mml_builder.toMML(styleOptions(options).style);
+  };
+
+  // Returns (synchronously) the base MML, see MMLBuilder.baseMML
+  me.baseMML = function(args) {
+    return mml_builder.baseMML(args);
+  };
+
+  return me;
+};
+
+module.exports = PromiseBuilder;
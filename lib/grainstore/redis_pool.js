@@ -1,11 +1,14 @@
 var crypto = require('crypto')
   , redis  = require('redis')
   , _      = require('underscore')
-  , Pool   = require('generic-pool').Pool;
+  , Pool   = require('generic-pool').Pool
+  , Metrics = require('./metrics');
 
 // RedisPool constructor. 
 // 
-// - `opts` {Object} optional config for redis and pooling
+// - `opts` {Object} optional config for redis and pooling.
+//   `metrics` may be a statsd-like hook (see metrics.js) to report the
+//   time spent waiting for pooled clients to, as `redis.acquire`.
 var RedisPool = function(opts){
   var opts = opts || {};
   var defaults = {
@@ -17,6 +20,7 @@ var RedisPool = function(opts){
     log: false
   };    
   var options = _.defaults(opts, defaults)
+  var metrics = new Metrics(options.metrics);
 
   var me = {
     pools: {} // cached pools by DB name
@@ -31,7 +35,9 @@ var RedisPool = function(opts){
       if (!this.pools[database]) {
         this.pools[database] = this.makePool(database);            
       }
+      var acquired = metrics.timer('redis.acquire');
       this.pools[database].acquire(function(err,resource) {
+        acquired();
         callback(err, resource);
       });
   };
@@ -44,12 +50,34 @@ var RedisPool = function(opts){
       this.pools[database] && this.pools[database].release(resource);
   };
     
+  // Destroy the clients of all pools once they are released,
+  // for the process to be able to exit. Calls callback().
+  me.destroyAll = function(callback) {
+    var pools = _.values(this.pools);
+    var left = pools.length;
+    this.pools = {};
+    if ( ! left ) { callback(); return; }
+    _.each(pools, function(pool) {
+      pool.drain(function() {
+        pool.destroyAllNow(function() {
+          if ( ! --left ) callback();
+        });
+      });
+    });
+  };
+
+  // Create a new client, not managed by any pool. Useful for
+  // connections that cannot be shared, like subscriptions.
+  me.createClient = function() {
+    return redis.createClient(options.port, options.host);
+  };
+
   // Factory for pool objects.
   me.makePool = function(database) {
     return Pool({
       name: database,
       create: function(callback){
-        var client = redis.createClient(options.port, options.host);          
+        var client = me.createClient();          
         client.on('connect', function () {
           client.send_anyway = true;
           client.select(database);  
@@ -0,0 +1,263 @@
+var _      = require('underscore')
+  , crypto = require('crypto');
+
+// Escape glob-style special characters for use in KEYS patterns
+function globEscape(s) {
+  return s.replace(/([\\*?\[\]])/g, '\\$1');
+}
+
+// RedisStorage constructor.
+//
+// Storage backends hold string values by string keys, and must provide:
+//
+// - `get(key, callback)` calls `callback(err, value)`, value being null
+//   if the key does not exist
+// - `set(key, value, callback)` calls `callback(err)`
+// - `del(keys, callback)` deletes a key, or an array of keys,
+//   calls `callback(err)`
+// - `keys(prefix, callback)` calls `callback(err, keys)` with all keys
+//   starting with the given prefix
+// - `expire(key, ttl, callback)` deletes the key after `ttl` seconds,
+//   unless it's set again meanwhile. Calls `callback(err)`
+// - `compareAndSet(key, expected, values, callback)` atomically sets all
+//   the key-value pairs in the `values` object if, and only if, the value
+//   of `key` is still `expected` (null meaning "not existing").
+//   Calls `callback(err, done)`, `done` being false when nothing was set.
+// - `indexAdd(index, member, score, callback)` adds a member to the
+//   index stored at key `index`, or updates its score if already there.
+//   Calls `callback(err)`
+// - `indexMembers(index, callback)` calls `callback(err, members)` with
+//   all members of the index, by ascending score
+// - `indexRemove(index, members, callback)` removes a member, or an
+//   array of members, from the index. Calls `callback(err)`
+// - `indexRemoveBelow(index, score, callback)` removes the members
+//   with a score lower than `score` from the index. Calls
+//   `callback(err, removed)` with the removed members
+//
+// Indexes are deleted with `del`, like any other key.
+//
+// Backends may also provide messaging among processes sharing the storage:
+//
+// - `publish(channel, message, callback)` sends a string message to
+//   all subscribers of the channel. Calls `callback(err)`
+// - `subscribe(channel, listener, callback)` calls `listener(message)`
+//   for every message published on the channel. Calls
+//   `callback(err, subscription)`, `subscription.unsubscribe(callback)`
+//   stopping the calls to `listener`.
+// - `close(callback)` ends the connection used by subscriptions, if any,
+//   for the process to be able to exit. Calls `callback(err)`
+//
+// And locking among processes sharing the storage:
+//
+// - `lock(key, ttl, callback)` takes the lock named `key` for `ttl`
+//   milliseconds, unless someone else holds it. Calls
+//   `callback(err, token)`, token being null if the lock is taken
+// - `unlock(key, token, callback)` releases a lock, only if still
+//   held with the given token. Calls `callback(err)`
+//
+// - `redis_pool` {RedisPool} pool to acquire clients from
+// - `database` {Number} redis database to use, defaults to 0
+// - `opts` {Object} optional settings:
+//     `scan_count` - number of keys to ask for on each SCAN call,
+//                    defaults to 1000
+var RedisStorage = function(redis_pool, database, opts){
+  database = database || 0;
+  opts = opts || {};
+
+  var scan_count = opts.scan_count || 1000;
+
+  var me = {};
+
+  // Run `fn(client, done)` with a client acquired from the pool,
+  // releasing it when `done(err, result)` is called.
+  var withClient = function(fn, callback) {
+    redis_pool.acquire(database, function(err, client) {
+      if ( err ) { callback(err); return; }
+      fn(client, function(err, result) {
+        redis_pool.release(database, client);
+        callback(err, result);
+      });
+    });
+  };
+
+  me.get = function(key, callback) {
+    withClient(function(client, done) {
+      client.GET(key, done);
+    }, callback);
+  };
+
+  me.set = function(key, value, callback) {
+    withClient(function(client, done) {
+      client.SET(key, value, done);
+    }, callback);
+  };
+
+  me.del = function(keys, callback) {
+    keys = _.isArray(keys) ? keys : [keys];
+    if ( _.isEmpty(keys) ) { callback(null); return; }
+    withClient(function(client, done) {
+      client.DEL(keys, done);
+    }, callback);
+  };
+
+  // Iterate over keys matching `prefix` using SCAN, which unlike KEYS
+  // does not block the server. Calls `each(keys, next)` for every batch
+  // of keys, and `callback(err)` at the end.
+  var scan = function(client, prefix, each, callback) {
+    var pattern = globEscape(prefix) + '*';
+    var step = function(cursor) {
+      client.send_command('SCAN', [cursor, 'MATCH', pattern, 'COUNT', scan_count], function(err, reply) {
+        if ( err ) { callback(err); return; }
+        each(reply[1], function(err) {
+          if ( err ) { callback(err); return; }
+          if ( reply[0] == '0' ) callback(null);
+          else step(reply[0]);
+        });
+      });
+    };
+    step('0');
+  };
+
+  me.keys = function(prefix, callback) {
+    withClient(function(client, done) {
+      var keys = [];
+      scan(client, prefix, function(batch, next) {
+        keys = keys.concat(batch);
+        next(null);
+      }, function(err) {
+        // SCAN may return a key more than once
+        done(err, err ? null : _.uniq(keys));
+      });
+    }, callback);
+  };
+
+  me.expire = function(key, ttl, callback) {
+    withClient(function(client, done) {
+      client.EXPIRE(key, ttl, done);
+    }, callback);
+  };
+
+  me.compareAndSet = function(key, expected, values, callback) {
+    withClient(function(client, done) {
+      client.WATCH(key);
+      client.GET(key, function(err, current) {
+        if ( err || current !== expected ) {
+          client.UNWATCH(function() { done(err, false); });
+          return;
+        }
+        var transaction = client.MULTI();
+        _.each(values, function(value, k) {
+          transaction.SET(k, value);
+        });
+        // The transaction will have NO effect IFF
+        // the value of key changed since we looked at it.
+        transaction.EXEC(function(err, replies) {
+          done(err, ! _.isNull(replies));
+        });
+      });
+    }, callback);
+  };
+
+  me.indexAdd = function(index, member, score, callback) {
+    withClient(function(client, done) {
+      client.ZADD(index, score, member, done);
+    }, callback);
+  };
+
+  me.indexMembers = function(index, callback) {
+    withClient(function(client, done) {
+      client.ZRANGE(index, 0, -1, done);
+    }, callback);
+  };
+
+  me.publish = function(channel, message, callback) {
+    withClient(function(client, done) {
+      client.PUBLISH(channel, message, done);
+    }, callback);
+  };
+
+  // Subscriptions share a single connection, which
+  // is not returned to the pool
+  var subscriber = null;
+  var listeners = {}; // arrays of listeners by channel
+
+  me.subscribe = function(channel, listener, callback) {
+    if ( ! subscriber ) {
+      subscriber = redis_pool.createClient();
+      subscriber.on('message', function(channel, message) {
+        _.each(listeners[channel] || [], function(l) { l(message); });
+      });
+    }
+    var subscription = {
+      unsubscribe: function(callback) {
+        callback = callback || function() {};
+        if ( ! subscriber ) { callback(null); return; } // closed
+        listeners[channel] = _.without(listeners[channel] || [], listener);
+        if ( ! _.isEmpty(listeners[channel]) ) { callback(null); return; }
+        delete listeners[channel];
+        subscriber.UNSUBSCRIBE(channel, function(err) { callback(err); });
+      }
+    };
+    if ( listeners[channel] ) {
+      listeners[channel].push(listener);
+      callback(null, subscription);
+      return;
+    }
+    listeners[channel] = [ listener ];
+    subscriber.SUBSCRIBE(channel, function(err) {
+      callback(err, err ? null : subscription);
+    });
+  };
+
+  me.close = function(callback) {
+    listeners = {};
+    // Pending replies don't matter anymore
+    if ( subscriber ) subscriber.end();
+    subscriber = null;
+    process.nextTick(function() { callback(null); });
+  };
+
+  me.lock = function(key, ttl, callback) {
+    var token = crypto.randomBytes(16).toString('hex');
+    withClient(function(client, done) {
+      client.send_command('SET', [key, token, 'NX', 'PX', ttl], function(err, reply) {
+        done(err, reply ? token : null);
+      });
+    }, callback);
+  };
+
+  // Delete the lock key only if it still holds our token
+  var unlock_script = "if redis.call('GET', KEYS[1]) == ARGV[1] then " +
+                      "return redis.call('DEL', KEYS[1]) else return 0 end";
+
+  me.unlock = function(key, token, callback) {
+    withClient(function(client, done) {
+      client.send_command('EVAL', [unlock_script, 1, key, token], function(err) {
+        done(err);
+      });
+    }, callback);
+  };
+
+  me.indexRemove = function(index, members, callback) {
+    members = _.isArray(members) ? members : [members];
+    if ( _.isEmpty(members) ) { callback(null); return; }
+    withClient(function(client, done) {
+      client.ZREM([index].concat(members), done);
+    }, callback);
+  };
+
+  me.indexRemoveBelow = function(index, score, callback) {
+    withClient(function(client, done) {
+      var transaction = client.MULTI();
+      transaction.ZRANGEBYSCORE(index, '-inf', '(' + score);
+      transaction.ZREMRANGEBYSCORE(index, '-inf', '(' + score);
+      transaction.EXEC(function(err, replies) {
+        done(err, replies ? replies[0] : null);
+      });
+    }, callback);
+  };
+
+  return me;
+};
+
+module.exports = RedisStorage;
@@ -0,0 +1,303 @@
+var _      = require('underscore'),
+    fs     = require('fs'),
+    path   = require('path'),
+    url    = require('url'),
+    http   = require('http'),
+    https  = require('https'),
+    crypto = require('crypto'),
+    Step   = require('step'),
+    StyleErrors = require('./style_errors'),
+    mkdirp = require('./fs_utils').mkdirp;
+
+// ResourcePolicy constructor.
+//
+// Restricts the external resources, like url(http://...) marker files
+// or patterns, that styles may use, and the remote files of datasources.
+// With a policy, grainstore fetches them itself rather than leaving it
+// to millstone.
+//
+// - `opts` {Object} settings, all optional:
+//     `offline`  - if true, no external resource is allowed
+//     `allow`    - hosts (e.g. "tiles.example.com", "*.example.com")
+//                  or url prefixes (e.g. "https://cdn.example.com/icons/")
+//                  resources may come from. Any if not given.
+//     `max_size` - maximum size of a resource, in bytes
+//     `timeout`  - milliseconds a resource may take to download,
+//                  redirections included, defaults to 10000
+//
+// Redirections are followed, up to 5, if allowed too.
+var ResourcePolicy = function(opts){
+  opts = opts || {};
+
+  var me = {};
+
+  var allow = opts.allow || null;
+  var max_size = opts.max_size || Infinity;
+  var timeout = opts.timeout || 10000;
+  var max_redirects = 5;
+
+  // Downloads started, naming their temporary files
+  var downloads = 0;
+
+  // Remote http(s) references of stylesheets, as millstone fetches them
+  var reference_re = /url\(\s*['"]?(https?:\/\/[^'"()\s]+)/gi;
+
+  // Returns why `resource` is not allowed, null if it is
+  me.check = function(resource) {
+    if ( opts.offline ) return "External resource '" + resource + "' is not allowed in offline mode";
+    if ( ! allow ) return null;
+    var host = ( url.parse(resource).hostname || '' ).toLowerCase();
+    var allowed = _.any(allow, function(entry) {
+      if ( entry.indexOf('://') != -1 ) return resource.indexOf(entry) === 0;
+      entry = entry.toLowerCase();
+      if ( entry.substr(0, 2) == '*.' ) {
+        return host.substr(host.length - entry.length + 1) == entry.substr(1);
+      }
+      return host == entry;
+    });
+    return allowed ? null : "External resource '" + resource + "' is not allowed";
+  };
+
+  // Remote file of the datasource of an MML layer, if any
+  var remoteFile = function(layer) {
+    var file = layer.Datasource && layer.Datasource.file;
+    return file && /^https?:\/\//i.test(file) ? file : null;
+  };
+
+  // Remote references of the CartoCSS `data`, with their locations
+  var styleReferences = function(data) {
+    var references = [];
+    data.replace(reference_re, function(m, resource, offset) {
+      var before = data.substr(0, offset + m.indexOf(resource)).split('\n');
+      references.push({ url: resource, line: before.length, column: _.last(before).length + 1 });
+      return m;
+    });
+    return references;
+  };
+
+  // Error with one line per problem given, and the structured
+  // errors in its `errors` member, or null if there's none
+  var problemsError = function(problems) {
+    problems = _.compact(problems);
+    if ( _.isEmpty(problems) ) return null;
+    var error = new Error(problems.join('\n'));
+    error.errors = StyleErrors.parse(error);
+    return error;
+  };
+
+  // Check the remote files of the datasources of MML layers.
+  // Returns an error for those not allowed, with the structured
+  // errors in its `errors` member, or null if all are.
+  me.checkLayers = function(layers) {
+    return problemsError(_.map(layers, function(layer) {
+      var file = remoteFile(layer);
+      return file ? me.check(file) : null;
+    }));
+  };
+
+  // Check the external resources of an MML, those of its layers
+  // and stylesheets, without fetching them. Returns an error as
+  // checkLayers does, with locations for those of stylesheets.
+  me.checkMML = function(mml) {
+    var error = me.checkLayers(mml.Layer);
+    var problems = error ? [ error.message ] : [];
+    _.each(mml.Stylesheet, function(stylesheet) {
+      _.each(styleReferences(stylesheet.data), function(ref) {
+        var problem = me.check(ref.url);
+        if ( problem ) problems.push(stylesheet.id + ':' + ref.line + ':' + ref.column + ' ' + problem);
+      });
+    });
+    return problemsError(problems);
+  };
+
+  // Fetch `resource` into `file` unless already there,
+  // calls callback(err) with a message for failures.
+  //
+  // Downloads go to a temporary file of their own, renamed
+  // into place once complete, as others may fetch the same
+  // resource meanwhile (in this process or another one).
+  var fetch = function(resource, file, callback, redirects, deadline) {
+    fs.stat(file, function(err) {
+      if ( ! err ) { callback(null); return; } // fetched already
+      redirects = redirects || 0;
+      deadline = deadline || Date.now() + timeout;
+      var tmp = file + '.download.' + process.pid + '.' + (++downloads);
+      var out = null;
+      var aborted = false;
+      var timer;
+      var done = _.once(function(err) {
+        clearTimeout(timer);
+        callback(err);
+      });
+      var uri = url.parse(resource);
+      var req = ( uri.protocol == 'https:' ? https : http ).get(uri, function(res) {
+        if ( res.statusCode >= 300 && res.statusCode < 400 && res.headers.location ) {
+          res.resume();
+          var target = url.resolve(resource, res.headers.location);
+          if ( redirects >= max_redirects ) { done("Too many redirections for '" + resource + "'"); return; }
+          var problem = me.check(target);
+          if ( problem ) { done(problem + " (redirected from '" + resource + "')"); return; }
+          clearTimeout(timer);
+          fetch(target, file, done, redirects + 1, deadline);
+          return;
+        }
+        if ( res.statusCode >= 400 ) {
+          res.resume();
+          done("Unable to download '" + resource + "' (server returned " + res.statusCode + ")");
+          return;
+        }
+        var too_big = "Resource '" + resource + "' is bigger than " + max_size + " bytes";
+        if ( parseInt(res.headers['content-length'], 10) > max_size ) {
+          req.abort();
+          done(too_big);
+          return;
+        }
+        var size = 0;
+        out = fs.createWriteStream(tmp);
+        res.on('data', function(chunk) {
+          if ( aborted ) return;
+          size += chunk.length;
+          if ( size <= max_size ) return;
+          aborted = true;
+          req.abort();
+          out.destroy();
+          fs.unlink(tmp, function() { done(too_big); });
+        });
+        res.pipe(out);
+        out.on('error', function(err) {
+          fs.unlink(tmp, function() {
+            done("Unable to download '" + resource + "' (" + err.message + ")");
+          });
+        });
+        out.on('close', function() {
+          if ( aborted ) return;
+          fs.rename(tmp, file, function(err) {
+            done(err ? "Unable to download '" + resource + "' (" + err.message + ")" : null);
+          });
+        });
+      });
+      // A deadline for the whole download, not only for idle sockets
+      timer = setTimeout(function() {
+        aborted = true;
+        req.abort();
+        if ( out ) { out.destroy(); fs.unlink(tmp, function() {}); }
+        done("Resource '" + resource + "' timed out after " + timeout + " ms");
+      }, Math.max(deadline - Date.now(), 0));
+      req.on('error', function(err) {
+        done("Unable to download '" + resource + "' (" + err.message + ")");
+      });
+    });
+  };
+
+  // Local file for `resource` in `cachedir`, keeping
+  // its extension for mapnik to know its format
+  var cacheFile = function(resource, cachedir) {
+    var digest = crypto.createHash('sha1').update(resource).digest('hex').substr(0, 16);
+    return path.join(cachedir, digest + path.extname(url.parse(resource).pathname || ''));
+  };
+
+  // Fetch the external resources of a stylesheet into `cachedir`,
+  // replacing their references with the local files.
+  //
+  // @param data the CartoCSS
+  // @param filename name of the stylesheet, for error locations
+  // @param callback(err, data) err having one line per problem, as
+  //        "<filename>:<line>:<column> <message>", and the structured
+  //        errors in its `errors` member (see style_errors.js)
+  me.localizeStyle = function(data, filename, cachedir, callback) {
+    var references = styleReferences(data);
+    if ( _.isEmpty(references) ) { callback(null, data); return; }
+
+    Step(
+      function makeCacheDir() {
+        mkdirp(cachedir, this);
+      },
+      function fetchResources(err) {
+        if ( err ) throw err;
+        var group = this.group();
+        var fetching = {};
+        _.each(references, function(ref) {
+          var next = group();
+          var problem = me.check(ref.url);
+          if ( problem ) { next(null, problem); return; }
+          ref.file = cacheFile(ref.url, cachedir);
+          // Same resources are fetched once, errors being reported for each
+          if ( ! fetching[ref.url] ) {
+            var waiting = fetching[ref.url] = [];
+            fetch(ref.url, ref.file, function(problem) {
+              _.each(waiting, function(cb) { cb(null, problem); });
+            });
+          }
+          fetching[ref.url].push(next);
+        });
+      },
+      function replace(err, problems) {
+        if ( err ) throw err;
+        var error = problemsError(_.map(problems, function(problem, i) {
+          var ref = references[i];
+          return problem ? filename + ':' + ref.line + ':' + ref.column + ' ' + problem : null;
+        }));
+        if ( error ) throw error;
+        var i = 0;
+        return data.replace(reference_re, function(m, resource) {
+          return m.replace(resource, references[i++].file);
+        });
+      },
+      function finish(err, localized) {
+        callback(err, err ? null : localized);
+      }
+    );
+  };
+
+  // Fetch the remote files of the datasources of MML `layers`
+  // into `cachedir`, replacing them with the local files, for
+  // millstone to use as it does with downloads of its own.
+  //
+  // @param callback(err) err having one line per problem, and the
+  //        structured errors in its `errors` member
+  me.localizeLayers = function(layers, cachedir, callback) {
+    var remote = _.filter(layers, remoteFile);
+    if ( _.isEmpty(remote) ) { callback(null); return; }
+
+    Step(
+      function makeCacheDir() {
+        mkdirp(cachedir, this);
+      },
+      function fetchFiles(err) {
+        if ( err ) throw err;
+        var group = this.group();
+        var fetching = {};
+        _.each(remote, function(layer) {
+          var next = group();
+          var resource = remoteFile(layer);
+          var problem = me.check(resource);
+          if ( problem ) { next(null, problem); return; }
+          // Same files are fetched once, errors being reported for each
+          if ( ! fetching[resource] ) {
+            var waiting = fetching[resource] = [];
+            fetch(resource, cacheFile(resource, cachedir), function(problem) {
+              _.each(waiting, function(cb) { cb(null, problem); });
+            });
+          }
+          fetching[resource].push(next);
+        });
+      },
+      function replace(err, problems) {
+        if ( err ) throw err;
+        var error = problemsError(problems);
+        if ( error ) throw error;
+        _.each(remote, function(layer) {
+          layer.Datasource.file = cacheFile(layer.Datasource.file, cachedir);
+        });
+        return null;
+      },
+      function finish(err) {
+        callback(err);
+      }
+    );
+  };
+
+  return me;
+};
+
+module.exports = ResourcePolicy;
@@ -0,0 +1,49 @@
+var _ = require('underscore');
+
+// SingleFlight constructor.
+//
+// Deduplicates concurrent asynchronous calls by key: while a call for
+// a key is in flight, further calls for the same key wait for it and
+// get the same results rather than running again.
+var SingleFlight = function(){
+
+  var me = {};
+
+  // Callbacks waiting for each in flight call, by key.
+  // Keys are prefixed not to clash with Object.prototype members.
+  var waiting = {};
+
+  // Run `fn(done)` unless a call for `key` is already in flight,
+  // `callback` getting whatever the running call passes to `done`
+  me.run = function(key, fn, callback) {
+    var id = '$' + key;
+    if ( waiting.hasOwnProperty(id) ) {
+      waiting[id].push(callback);
+      return;
+    }
+    var callbacks = waiting[id] = [ callback ];
+    fn(function() {
+      var args = arguments;
+      if ( waiting[id] === callbacks ) delete waiting[id];
+      _.each(callbacks, function(cb) { cb.apply(null, args); });
+    });
+  };
+
+  // Let further calls for the keys for which `fn(key)` is true run
+  // again rather than wait for those in flight, e.g. when what they
+  // compute changed meanwhile. Calls in flight still complete.
+  me.forgetWhere = function(fn) {
+    _.each(_.keys(waiting), function(id) {
+      if ( fn(id.substr(1)) ) delete waiting[id];
+    });
+  };
+
+  // Number of calls in flight
+  me.size = function() {
+    return _.keys(waiting).length;
+  };
+
+  return me;
+};
+
+module.exports = SingleFlight;
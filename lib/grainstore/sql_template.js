@@ -0,0 +1,131 @@
+var _ = require('underscore');
+
+// SQL templates
+//
+// Templates are SQL with `{{name}}` or `{{name:type}}` placeholders,
+// replaced by the quoted value of the parameter with the same name.
+// Mapnik tokens like `!bbox!` are left untouched. As mapnik replaces
+// them anywhere in the sql, values never hold a "!" of their own:
+// literals spell it chr(33), identifiers holding one are refused.
+//
+// Supported types:
+//
+// `text`  - string literal
+// `int`   - integer
+// `float` - number
+// `bool`  - boolean
+// `date`  - string literal of a Date, or date string
+// `ident` - quoted identifier, e.g. a column name
+//
+// With no type the value is quoted according to its javascript type.
+// Array values are expanded to comma separated lists, as in
+// "WHERE id IN ({{ids:int}})", empty arrays to NULL.
+// Null values are expanded to NULL.
+
+var placeholder_re = /\{\{\s*([A-Za-z_]\w*)\s*(?::\s*(\w+)\s*)?\}\}/g;
+
+function literal(s) {
+  if ( /\0/.test(s) ) throw new Error("SQL strings cannot contain NUL characters");
+  var parts = _.map(s.split('!'), function(part) {
+    part = part.replace(/'/g, "''");
+    if ( /\\/.test(part) ) return "E'" + part.replace(/\\/g, '\\\\') + "'";
+    return "'" + part + "'";
+  });
+  return parts.length > 1 ? '(' + parts.join(' || chr(33) || ') + ')' : parts[0];
+}
+
+// Negative numbers are bracketed, as a minus sign following
+// another one would start a comment, e.g. "a-{{n:int}}"
+function number(v) {
+  return v < 0 ? '(' + String(v) + ')' : String(v);
+}
+
+function identifier(s) {
+  if ( ! _.isString(s) || ! s.length ) throw new Error("SQL identifiers must be non-empty strings");
+  if ( /\0/.test(s) ) throw new Error("SQL identifiers cannot contain NUL characters");
+  if ( /!/.test(s) ) throw new Error("SQL identifiers cannot contain '!', used by mapnik tokens");
+  return '"' + s.replace(/"/g, '""') + '"';
+}
+
+var quoters = {
+  text: function(v) {
+    return literal(String(v));
+  },
+  int: function(v) {
+    if ( _.isString(v) && /^\s*-?\d+\s*$/.test(v) ) v = parseInt(v, 10);
+    if ( ! _.isNumber(v) || ! isFinite(v) || Math.floor(v) !== v ) throw new Error("not an integer");
+    return number(v);
+  },
+  float: function(v) {
+    if ( _.isString(v) && /\S/.test(v) ) v = Number(v);
+    if ( ! _.isNumber(v) || ! isFinite(v) ) throw new Error("not a number");
+    return number(v);
+  },
+  bool: function(v) {
+    if ( v === 'true' || v === 'false' ) v = ( v === 'true' );
+    if ( ! _.isBoolean(v) ) throw new Error("not a boolean");
+    return v ? 'TRUE' : 'FALSE';
+  },
+  date: function(v) {
+    if ( _.isString(v) ) v = new Date(v);
+    if ( ! _.isDate(v) || isNaN(v.getTime()) ) throw new Error("not a date");
+    return literal(v.toISOString());
+  },
+  ident: function(v) {
+    return identifier(v);
+  }
+};
+
+// Type to use for a parameter value given with no type
+function guessType(v) {
+  if ( _.isNumber(v) ) return 'float';
+  if ( _.isBoolean(v) ) return 'bool';
+  if ( _.isDate(v) ) return 'date';
+  return 'text';
+}
+
+function quote(value, type) {
+  if ( _.isNull(value) ) {
+    if ( type == 'ident' ) throw new Error("not an identifier");
+    return 'NULL';
+  }
+  if ( _.isArray(value) ) {
+    if ( _.isEmpty(value) ) return 'NULL';
+    return _.map(value, function(v) { return quote(v, type); }).join(',');
+  }
+  return quoters[type || guessType(value)](value);
+}
+
+// Names of the parameters used by `template`, in order of appearance
+module.exports.names = function(template) {
+  var names = [];
+  String(template).replace(placeholder_re, function(m, name) {
+    if ( ! _.include(names, name) ) names.push(name);
+    return m;
+  });
+  return names;
+};
+
+// True if `template` has any placeholder
+module.exports.isTemplate = function(template) {
+  return ! _.isEmpty(module.exports.names(template));
+};
+
+// Expand the placeholders of `template` with the values in `params`.
+// Throws on missing parameters, unknown types or invalid values.
+module.exports.render = function(template, params) {
+  params = params || {};
+  return String(template).replace(placeholder_re, function(m, name, type) {
+    if ( type && ! quoters.hasOwnProperty(type) ) {
+      throw new Error("Unknown type '" + type + "' for sql parameter '" + name + "'");
+    }
+    if ( ! params.hasOwnProperty(name) || _.isUndefined(params[name]) ) {
+      throw new Error("Missing sql parameter '" + name + "'");
+    }
+    try {
+      return quote(params[name], type);
+    } catch (err) {
+      throw new Error("Invalid value for sql parameter '" + name + "': " + err.message);
+    }
+  });
+};
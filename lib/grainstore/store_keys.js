@@ -0,0 +1,128 @@
+var _ = require('underscore');
+
+// StoreKeys constructor.
+//
+// Names of the storage keys (and channels) used by grainstore, so that
+// several environments or customers can share a storage without
+// seeing each other's styles.
+//
+// - `opts` {Object} optional settings:
+//     `namespace` - prefix of all keys, e.g. "staging"
+//     `tenant`    - tenant the keys belong to, within the namespace
+//
+// Keys are "[ns=<namespace>:][t=<tenant>:]<kind>|<db>|<map name>", e.g.
+// "ns=staging:t=acme:map_style|db|table". Namespace and tenant are
+// marked, for a namespace not to share keys with a tenant of the same
+// name. With neither namespace nor tenant they are the keys used by
+// versions with no namespace support.
+//
+// Components are encoded (see StoreKeys.encode) so that names holding
+// delimiters, like the "a|b" table, cannot make keys clash. Use parse
+// to get them back from a key.
+var StoreKeys = function(opts){
+  opts = opts || {};
+
+  var me = {};
+
+  me.namespace = opts.namespace || null;
+  me.tenant = opts.tenant || null;
+
+  // Prefix of all keys, empty with no namespace nor tenant
+  me.prefix = ( me.namespace ? 'ns=' + StoreKeys.encode(me.namespace, true) + ':' : '' ) +
+              ( me.tenant ? 't=' + StoreKeys.encode(me.tenant, true) + ':' : '' );
+
+  var key = function(kind, parts) {
+    return me.prefix + [kind].concat(_.map(parts, function(part) {
+      return StoreKeys.encode(part);
+    })).join('|');
+  };
+
+  // Key of the style (and XML) of a map
+  me.style = function(db, map_name) {
+    return key('map_style', [db, map_name]);
+  };
+
+  // Key of the style revisions of a map
+  me.history = function(db, map_name) {
+    return key('map_style_history', [db, map_name]);
+  };
+
+  // Key of the index of the extended keys of a map
+  me.related = function(db, map_name) {
+    return key('map_style_related', [db, map_name]);
+  };
+
+  // Key of the default style of a database
+  me.databaseDefault = function(db) {
+    return key('map_style_default', [db]);
+  };
+
+  // Key of the render lock of a style key
+  me.lock = function(store_key) {
+    return me.prefix + 'map_style_lock|' + store_key.substr(me.prefix.length);
+  };
+
+  // Prefix of the style keys of a database, or of all
+  // style keys in the namespace if no database is given
+  me.stylePrefix = function(db) {
+    return me.prefix + 'map_style|' + ( _.isUndefined(db) ? '' : StoreKeys.encode(db) + '|' );
+  };
+
+  // Name of a publish/subscribe channel within the namespace
+  me.channel = function(name) {
+    return me.prefix + name;
+  };
+
+  // Decode a key of this namespace and tenant.
+  //
+  // Returns null for keys of other namespaces (or tenants) or not made
+  // by grainstore, otherwise an object with:
+  //   `kind`      - "map_style", "map_style_history", "map_style_related",
+  //                 "map_style_default" or "map_style_lock"
+  //   `db`        - database, or "@<types>" for non-PostGIS maps
+  //   `map_name`  - table or map name, null for database default keys
+  //   `extension` - what follows the map name in extended keys, or null
+  //   `key`       - the locked key, for lock keys only
+  me.parse = function(store_key) {
+    if ( store_key.substr(0, me.prefix.length) != me.prefix ) return null;
+    var rest = store_key.substr(me.prefix.length);
+    var parts = rest.split('|');
+    var kind = parts[0];
+    if ( kind == 'map_style_lock' ) {
+      return { kind: kind, key: me.prefix + rest.substr(kind.length + 1) };
+    }
+    if ( kind == 'map_style_default' ) {
+      if ( parts.length != 2 ) return null;
+      return { kind: kind, db: StoreKeys.decode(parts[1]), map_name: null, extension: null };
+    }
+    if ( ! _.include(['map_style', 'map_style_history', 'map_style_related'], kind) ) return null;
+    if ( parts.length < 3 ) return null;
+    if ( parts.length > 3 && kind != 'map_style' ) return null;
+    return {
+      kind: kind,
+      db: StoreKeys.decode(parts[1]),
+      map_name: StoreKeys.decode(parts[2]),
+      extension: parts.length > 3 ? parts.slice(3).join('|') : null
+    };
+  };
+
+  return me;
+};
+
+// Encode a key component, escaping "%" and "|" as "%25" and "%7C".
+// With `in_prefix`, ":" is escaped as "%3A" too.
+// Names with none of these are left as they are.
+StoreKeys.encode = function(name, in_prefix) {
+  return String(name).replace(in_prefix ? /[%|:]/g : /[%|]/g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+};
+
+// Reverse of StoreKeys.encode
+StoreKeys.decode = function(component) {
+  return component.replace(/%([0-9A-F]{2})/g, function(m, hex) {
+    return String.fromCharCode(parseInt(hex, 16));
+  });
+};
+
+module.exports = StoreKeys;
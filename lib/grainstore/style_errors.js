@@ -0,0 +1,44 @@
+var _ = require('underscore');
+
+// Structured style errors
+//
+// Every style error (or warning) is an object with these members:
+//
+// `message`  - description of the problem
+// `severity` - 'error' or 'warning'
+// `filename` - stylesheet name (e.g. 'style.mss'), null if unknown
+// `line`     - line number in the stylesheet, null if unknown
+// `column`   - column number in the stylesheet, null if unknown
+
+// Carto reports errors one per line, as "<file>:<line>:<column> <message>"
+var location_re = /^(.*?):(\d+):(\d+) (.*)$/;
+
+// Parse an error (or error message) as returned by carto,
+// millstone or StyleTrans into an array of style errors.
+//
+// @param err Error object or message string
+// @param severity defaults to 'error'
+module.exports.parse = function(err, severity) {
+  var text = _.isString(err) ? err : ( err && err.message ) || String(err);
+  severity = severity || 'error';
+
+  var lines = _.filter(text.split('\n'), function(l) { return /\S/.test(l); });
+  var located = _.any(lines, function(l) { return location_re.test(l); });
+
+  // Messages with no location are reported as a whole
+  if ( ! located ) lines = [ text ];
+
+  return _.map(lines, function(l) {
+    var m = location_re.exec(l);
+    if ( ! m ) {
+      return { message: l, severity: severity, filename: null, line: null, column: null };
+    }
+    return {
+      message: m[4],
+      severity: severity,
+      filename: m[1],
+      line: parseInt(m[2], 10),
+      column: parseInt(m[3], 10)
+    };
+  });
+};
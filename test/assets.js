@@ -0,0 +1,44 @@
+var assert = require('assert');
+var path   = require('path');
+var Assets = require('../lib/grainstore/assets');
+
+suite('assets', function() {
+
+  var resources = path.resolve(__dirname, 'support/resources');
+  var assets = { icons: resources, circle: resources + '/circle.svg' };
+
+  test('resolves asset references to local paths', function() {
+    assert.equal(Assets.resolve('asset://icons/circle.svg', assets), resources + '/circle.svg');
+    assert.equal(Assets.resolve('asset://circle', assets), resources + '/circle.svg');
+    assert.equal(Assets.resolve('asset://icons', assets), resources);
+  });
+
+  test('rejects unknown assets and paths out of asset directories', function() {
+    assert.throws(function() {
+      Assets.resolve('asset://pins/pin.svg', assets);
+    }, /Unknown asset 'asset:\/\/pins\/pin.svg'/);
+    assert.throws(function() {
+      Assets.resolve('asset://icons/../../mml_store.js', assets);
+    }, /is out of its directory/);
+  });
+
+  test('replaces asset references of styles', function(done) {
+    var style = '#t {\n  marker-file: url(asset://icons/circle.svg);\n}';
+    Assets.resolveStyle(style, 'style.mss', assets, function(err, resolved) {
+      if ( err ) { done(err); return; }
+      assert.equal(resolved, '#t {\n  marker-file: url(' + resources + '/circle.svg);\n}');
+      done();
+    });
+  });
+
+  test('reports located errors for missing assets', function(done) {
+    var style = '#t {\n  marker-file: url(asset://icons/pin.svg);\n  polygon-pattern-file: url("asset://x/y.png");\n}';
+    Assets.resolveStyle(style, 'style.mss', assets, function(err, resolved) {
+      assert.ok(err);
+      assert.equal(err.message, "style.mss:2:20 Asset 'asset://icons/pin.svg' not found\n" +
+                                "style.mss:3:30 Unknown asset 'asset://x/y.png'");
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,28 @@
+var assert       = require('assert');
+var GeometryType = require('../lib/grainstore/geometry_type');
+
+suite('geometry_type', function() {
+
+  test('normalizes PostGIS and OGR names onto default style keys', function() {
+    assert.equal(GeometryType.normalize('ST_MultiLineString'), 'multilinestring');
+    assert.equal(GeometryType.normalize('LINESTRING'), 'multilinestring');
+    assert.equal(GeometryType.normalize('ST_Point'), 'point');
+    assert.equal(GeometryType.normalize('MULTIPOINT'), 'point');
+    assert.equal(GeometryType.normalize('POLYGON'), 'polygon');
+    assert.equal(GeometryType.normalize('ST_MultiPolygon'), 'multipolygon');
+    assert.equal(GeometryType.normalize('GEOMETRYCOLLECTION'), 'geometry');
+  });
+
+  test('ignores dimension suffixes', function() {
+    assert.equal(GeometryType.normalize('POINTZ'), 'point');
+    assert.equal(GeometryType.normalize('ST_LineStringM'), 'multilinestring');
+    assert.equal(GeometryType.normalize('MULTIPOLYGON ZM'), 'multipolygon');
+  });
+
+  test('lowercases unknown names, returns null for empty ones', function() {
+    assert.equal(GeometryType.normalize('RASTER'), 'raster');
+    assert.equal(GeometryType.normalize(''), null);
+    assert.equal(GeometryType.normalize(null), null);
+  });
+
+});
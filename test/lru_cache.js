@@ -0,0 +1,45 @@
+var assert   = require('assert');
+var LRUCache = require('../lib/grainstore/lru_cache');
+
+suite('lru_cache', function() {
+
+  test('evicts least recently used entries beyond max_entries', function() {
+    var cache = new LRUCache({max_entries: 2});
+    cache.set('a', '1');
+    cache.set('b', '2');
+    assert.equal(cache.get('a'), '1'); // b is now the least recently used
+    cache.set('c', '3');
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), '1');
+    assert.equal(cache.get('c'), '3');
+    assert.deepEqual(cache.stats(), {entries: 2, bytes: 2, hits: 3, misses: 1, evictions: 1});
+  });
+
+  test('evicts entries beyond max_bytes, and skips values too big', function() {
+    var cache = new LRUCache({max_bytes: 10});
+    cache.set('a', '12345');
+    cache.set('b', '12345');
+    cache.set('c', '123');
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.stats().bytes, 8);
+    cache.set('big', '12345678901');
+    assert.equal(cache.get('big'), undefined);
+    assert.equal(cache.stats().entries, 2);
+  });
+
+  test('can delete entries by key, by condition or all', function() {
+    var cache = new LRUCache();
+    cache.set('a', '1');
+    cache.set('b', '2');
+    cache.set('constructor', '3');
+    cache.del('a');
+    assert.equal(cache.get('a'), undefined);
+    cache.delWhere(function(key) { return key == 'b'; });
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('constructor'), '3');
+    cache.clear();
+    assert.equal(cache.get('constructor'), undefined);
+    assert.equal(cache.stats().entries, 0);
+  });
+
+});
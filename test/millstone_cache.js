@@ -0,0 +1,167 @@
+var assert         = require('assert');
+var _              = require('underscore');
+var fs             = require('fs');
+var path           = require('path');
+var MillstoneCache = require('../lib/grainstore/millstone_cache');
+var fs_utils       = require('../lib/grainstore/fs_utils');
+
+suite('millstone_cache', function() {
+
+  var dir = '/tmp/grainstore_test_millstone_cache';
+
+  // Write a `bytes` long file in the cache directory of a map,
+  // last changed `age` seconds ago
+  var fill = function(cache, db, map_name, bytes, age) {
+    var map_dir = cache.dir(db, map_name);
+    _.each([dir, path.dirname(cache.root), cache.root, path.dirname(map_dir), map_dir, map_dir + '/cache'], function(d) {
+      if ( ! fs.existsSync(d) ) fs.mkdirSync(d);
+    });
+    fs.writeFileSync(map_dir + '/cache/file.png', new Buffer(bytes));
+    var time = Date.now() / 1000 - ( age || 0 );
+    fs.utimesSync(map_dir, time, time);
+  };
+
+  setup(function(done) {
+    fs_utils.removeTree(dir, done);
+  });
+
+  suiteTeardown(function(done) {
+    fs_utils.removeTree(dir, done);
+  });
+
+  test('directories are scoped by namespace and tenant', function() {
+    var cache = new MillstoneCache({dir: dir, namespace: 'staging', tenant: 'acme'});
+    assert.deepEqual(cache.options('db', 'tab'), {
+      base: dir + '/ns=staging/t=acme/db/tab/base',
+      cache: dir + '/ns=staging/t=acme/db/tab/cache'
+    });
+  });
+
+  test('names are encoded into a directory each', function() {
+    var cache = new MillstoneCache({dir: dir, tenant: '../t'});
+    assert.equal(cache.root, dir + '/t=%2E.%2Ft');
+    assert.equal(cache.dir('a/b', '..'), cache.root + '/a%2Fb/%2E.');
+    assert.equal(cache.dir('ns=x', '50%'), cache.root + '/ns%3Dx/50%25');
+    assert.throws(function() { cache.dir('', 't'); }, /Invalid millstone cache directory/);
+  });
+
+  test('purge stays within the cache directory', function(done) {
+    var cache = new MillstoneCache({dir: dir + '/cache'});
+    fs.mkdirSync(dir);
+    fs.mkdirSync(dir + '/victim');
+    fs.writeFileSync(dir + '/victim/file', 'x');
+    cache.purge('..', 'victim', function(err) {
+      if ( err ) { done(err); return; }
+      cache.purge('', 'victim', function(err) {
+        assert.ok(err);
+        assert.ok(fs.existsSync(dir + '/victim/file'));
+        done();
+      });
+    });
+  });
+
+  test('purge removes base, cache and empty database directories', function(done) {
+    var cache = new MillstoneCache({dir: dir});
+    fill(cache, 'db', 'tab', 10);
+    fs.mkdirSync(cache.dir('db', 'tab') + '/base');
+    fill(cache, 'db2', 'tab', 10);
+    fill(cache, 'db2', 'other', 10);
+    cache.purge('db', 'tab', function(err) {
+      if ( err ) { done(err); return; }
+      assert.ok( ! fs.existsSync(dir + '/db'));
+      cache.purge('db2', 'tab', function(err) {
+        if ( err ) { done(err); return; }
+        assert.deepEqual(fs.readdirSync(dir + '/db2'), ['other']);
+        // Nothing to purge is fine
+        cache.purge('db', 'tab', done);
+      });
+    });
+  });
+
+  test('update evicts the least recently used maps over max_bytes', function(done) {
+    var evicted = [];
+    var cache = new MillstoneCache({dir: dir, max_bytes: 350, on_evict: function(db, map_name, callback) {
+      evicted.push(db + '/' + map_name);
+      callback(null);
+    }});
+    fill(cache, 'db', 'old', 100, 300);
+    fill(cache, 'db', 'used', 100, 200);
+    fill(cache, 'db2', 'recent', 100, 100);
+    cache.update('db', 'used', function(err, removed) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(removed, []); // 300 bytes
+      cache.touch('db', 'old');
+      fill(cache, 'db', 'new', 100);
+      cache.update('db', 'new', function(err, removed) {
+        if ( err ) { done(err); return; }
+        // "old" was used since the scan, "recent" was not
+        assert.deepEqual(removed, [{db: 'db2', map_name: 'recent'}]);
+        assert.deepEqual(evicted, ['db2/recent']);
+        assert.ok( ! fs.existsSync(dir + '/db2'));
+        assert.deepEqual(fs.readdirSync(dir + '/db').sort(), ['new', 'old', 'used']);
+        done();
+      });
+    });
+  });
+
+  test('update does nothing with no max_bytes', function(done) {
+    var cache = new MillstoneCache({dir: dir});
+    fill(cache, 'db', 'tab', 100);
+    cache.update('db', 'tab', function(err, removed) {
+      assert.deepEqual(removed, []);
+      done(err);
+    });
+  });
+
+  test('sweep removes directories of maps that are gone', function(done) {
+    var cache = new MillstoneCache({dir: dir, tenant: 'acme'});
+    fill(cache, 'db', 'kept', 10);
+    fill(cache, 'db', 'gone', 10);
+    // not a map directory
+    fs.mkdirSync(cache.root + '/db/stray');
+    var checked = [];
+    cache.sweep(function(db, map_name, callback) {
+      checked.push(db + '/' + map_name);
+      callback(null, map_name == 'kept');
+    }, function(err, removed) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(checked.sort(), ['db/gone', 'db/kept']);
+      assert.deepEqual(removed, [{db: 'db', map_name: 'gone'}]);
+      assert.deepEqual(fs.readdirSync(cache.root + '/db').sort(), ['kept', 'stray']);
+      done();
+    });
+  });
+
+  test('sweep finds maps with slashes in their name', function(done) {
+    var cache = new MillstoneCache({dir: dir});
+    fill(cache, 'db', 'a/b', 10);
+    fill(cache, 'd/b', 'c', 10);
+    cache.sweep(function(db, map_name, callback) {
+      callback(null, false);
+    }, function(err, removed) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(_.sortBy(removed, 'db'), [{db: 'd/b', map_name: 'c'}, {db: 'db', map_name: 'a/b'}]);
+      assert.deepEqual(fs.readdirSync(dir), []);
+      done();
+    });
+  });
+
+  test('sweep leaves directories of other namespaces and tenants alone', function(done) {
+    var cache = new MillstoneCache({dir: dir});
+    var staging = new MillstoneCache({dir: dir, namespace: 'staging'});
+    var acme = new MillstoneCache({dir: dir, tenant: 'acme'});
+    // maps named like those of the scope directories
+    fill(staging, 'db', 'cache', 10);
+    fill(acme, 'db', 'base', 10);
+    cache.sweep(function(db, map_name, callback) {
+      callback(null, false);
+    }, function(err, removed) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(removed, []);
+      assert.ok(fs.existsSync(staging.dir('db', 'cache')));
+      assert.ok(fs.existsSync(acme.dir('db', 'base')));
+      done();
+    });
+  });
+
+});
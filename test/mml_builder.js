@@ -7,6 +7,7 @@ var Step       = require('step');
 var http       = require('http');
 var fs         = require('fs');
 var base64     = require('../lib/grainstore/base64');
+var crypto     = require('crypto');
 
 var redis_opts = require('./support/redis_opts');
 var redis_client = redis.createClient(redis_opts.port);
@@ -14,6 +15,15 @@ var server;
 
 var server_port = 8033;
 
+// Extended key of `base` for the given key source members
+function extendedKey(base, source) {
+  source = _.defaults(source, {sql: null, style: null, interactivity: null});
+  var ordered = {sql: source.sql, style: source.style, interactivity: source.interactivity};
+  if ( source.map ) ordered.map = source.map;
+  source = ordered;
+  return base + '|' + crypto.createHash('sha1').update(JSON.stringify(source)).digest('hex');
+}
+
 function dropXMLFromStore(key, callback) {
     redis_client.get(key, function(err, val) {
       val = JSON.parse(val);
@@ -82,7 +92,7 @@ suite('mml_builder', function() {
         redis_client.keys("map_style|d|t|*", function(err, matches) {
             if ( err ) { done(err); return; }
             assert.equal(matches.length, 1);
-            assert.equal(matches[0], 'map_style|d|t|' + base64.encode('#t{}|2.0.0'));
+            assert.equal(matches[0], extendedKey('map_style|d|t', {style: '#t{}|2.0.0'}));
             mml_builder.delStyle(done);
         });
       }
@@ -99,7 +109,7 @@ suite('mml_builder', function() {
         redis_client.keys("map_style|d|t|*", function(err, matches) {
             if ( err ) { done(err); return; }
             assert.equal(matches.length, 1);
-            assert.equal(matches[0], 'map_style|d|t|' + base64.encode('#t{}|2.0.2'));
+            assert.equal(matches[0], extendedKey('map_style|d|t', {style: '#t{}|2.0.2'}));
             mml_builder.delStyle(done);
         });
       }
@@ -437,7 +447,7 @@ suite('mml_builder', function() {
             assert.ok(js.hasOwnProperty('version'), 'base key has no version property');
             assert.ok(js.hasOwnProperty('xml'), 'base key has no xml property');
             assert.ok(js.hasOwnProperty('xml_version'), 'base key has no xml_version property');
-            assert.equal(matches[1], 'map_style|db|tab|' + base64.encode(style2 + '|2.0.0'));
+            assert.equal(matches[1], extendedKey('map_style|db|tab', {style: style2 + '|2.0.0'}));
             redis_client.get(matches[1], function(err, val) {
               if ( err ) { cb(err); return; }
               // custom style key has only XML
@@ -515,7 +525,7 @@ suite('mml_builder', function() {
             assert.ok(js.hasOwnProperty('xml'), 'base key has no xml property');
             assert.ok(js.hasOwnProperty('xml_version'), 'base key has no xml_version property');
             // the "extended" key is now encoded after the style we just set
-            assert.equal(matches[1], 'map_style|db|tab|' + base64.encode(style3 + '|2.0.0'));
+            assert.equal(matches[1], extendedKey('map_style|db|tab', {style: style3 + '|2.0.0'}));
             redis_client.get(matches[1], function(err, val) {
               if ( err ) { cb(err); return; }
               // custom style key has only XML
@@ -913,7 +923,7 @@ suite('mml_builder', function() {
         if ( err ) { done(err); return; }
         xml0 = data;
         //redis_client.keys("map_style|db|tab|*", function(err, matches) { console.dir(matches); });
-        var key = 'map_style|db|tab|c2VsZWN0ICogZnJvbSB0'; // Use the above line to figure out
+        var key = mml_builder0.makeExtendedKey(); // Use the above line to figure out
         dropXMLFromStore(key, this);
       },
       function initBuilder(err, val) {
@@ -1196,6 +1206,751 @@ suite('mml_builder', function() {
     });
   });
 
+  test('can generate base mml for a composite map', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder = mml_store.mml_builder(
+      {dbname: 'db', layers: [ {table:'t1'}, {table:'t2', sql:'select * from t2'} ]},
+      function(err, payload) {
+        if ( err ) { done(err); return; }
+        var baseMML = mml_builder.baseMML();
+        assert.equal(baseMML.Layer.length, 2);
+        assert.equal(baseMML.Layer[0].id, 't1');
+        assert.equal(baseMML.Layer[0].Datasource.table, 't1');
+        assert.equal(baseMML.Layer[0].Datasource.dbname, 'db');
+        assert.equal(baseMML.Layer[1].id, 't2');
+        assert.equal(baseMML.Layer[1].Datasource.table, 'select * from t2');
+        redis_client.keys("map_style|db|t1,t2*", function(err, matches) {
+            if ( err ) { done(err); return; }
+            // base key, plus extended key for the layer sql
+            assert.equal(matches.length, 2);
+            mml_builder.delStyle(done);
+        });
+      }
+    );
+  });
+
+  test('composite map requires a table for each layer', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    assert.throws(function(){
+      mml_store.mml_builder({dbname: 'db', layers: [ {table:'t1'}, {sql:'select 1'} ]});
+    }, Error, "Every layer must include a table");
+  });
+
+  test('can set per-layer styles of a composite map and retrieve XML', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var styles = [ "#t1 { marker-fill: #111111; }", "#t2 { polygon-fill: #222222; }" ];
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder(
+          {dbname: 'db', table: 'composite', layers: [ {table:'t1'}, {table:'t2'} ]}, this);
+      },
+      function setStyle(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(styles, this);
+      },
+      function getStyle(err) {
+        if ( err ) throw err;
+        mml_builder.getStyle(this);
+      },
+      function getXML(err, data) {
+        if ( err ) throw err;
+        assert.deepEqual(data.style, styles);
+        mml_builder.toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        var layers = xmlDoc.find("//Layer");
+        assert.equal(layers.length, 2);
+        assert.equal(layers[0].attr('name').value(), 't1');
+        assert.equal(layers[1].attr('name').value(), 't2');
+        assert.equal(xmlDoc.get("//MarkersSymbolizer").attr('fill').value(), '#111111');
+        assert.equal(xmlDoc.get("//PolygonSymbolizer").attr('fill').value(), '#222222');
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('composite map style must have one element per layer', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder = mml_store.mml_builder(
+      {dbname: 'db', layers: [ {table:'t1'}, {table:'t2'} ]},
+      function(err) {
+        if ( err ) { done(err); return; }
+        mml_builder.setStyle("#t1 { marker-fill: #111111; }", function(err) {
+          assert.ok(err);
+          assert.ok(err.message.match(/one CartoCSS per layer/), err.message);
+          mml_builder.delStyle(done);
+        });
+      });
+  });
+
+  test('per-layer style override only affects its layer', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var base_builder, cust_builder;
+    Step(
+      function initBase() {
+        base_builder = mml_store.mml_builder(
+          {dbname: 'db', layers: [ {table:'t1'}, {table:'t2'} ]}, this);
+      },
+      function setBaseStyle(err) {
+        if ( err ) throw err;
+        base_builder.setStyle([ "#t1 { marker-fill: #111111; }", "#t2 { polygon-fill: #222222; }" ], this);
+      },
+      function initCustom(err) {
+        if ( err ) throw err;
+        cust_builder = mml_store.mml_builder(
+          {dbname: 'db', layers: [ {table:'t1'}, {table:'t2', style:'#t2 { polygon-fill: #333333; }'} ]}, this);
+      },
+      function getXML(err) {
+        if ( err ) throw err;
+        cust_builder.toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        assert.equal(xmlDoc.get("//MarkersSymbolizer").attr('fill').value(), '#111111');
+        assert.equal(xmlDoc.get("//PolygonSymbolizer").attr('fill').value(), '#333333');
+        return null;
+      },
+      function setBaseStyleAgain(err) {
+        if ( err ) throw err;
+        base_builder.setStyle([ "#t1 { marker-fill: #444444; }", "#t2 { polygon-fill: #222222; }" ], this);
+      },
+      function checkRedis(err) {
+        if ( err ) throw err;
+        var next = this;
+        // extended key of the custom builder is gone
+        redis_client.keys("map_style|db|t1,t2*", function(err, matches) {
+          if ( err ) { next(err); return; }
+          assert.equal(matches.length, 1);
+          assert.equal(matches[0], 'map_style|db|t1,t2');
+          next();
+        });
+      },
+      function theEnd(err) {
+        base_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('lazy_xml builder does not touch the store on construction', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table:'lazy'}, function(err) {
+      if ( err ) { done(err); return; }
+      redis_client.keys("map_style|db|lazy*", function(err, matches) {
+        if ( err ) { done(err); return; }
+        assert.equal(matches.length, 0);
+        done();
+      });
+    });
+  });
+
+  test('lazy_xml setStyle stores style only, toXML renders and stores XML', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var style = "#lazy { marker-fill: #111111; }";
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', table:'lazy'}, this);
+      },
+      function setStyle(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(style, this);
+      },
+      function getRedis0(err) {
+        if ( err ) throw err;
+        redis_client.get('map_style|db|lazy', this);
+      },
+      function getXML(err, val) {
+        if ( err ) throw err;
+        var js = JSON.parse(val);
+        assert.equal(js.style, style);
+        assert.ok(!js.hasOwnProperty('xml'), 'lazy setStyle stored XML');
+        mml_builder.toXML(this);
+      },
+      function getRedis1(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        assert.equal(xmlDoc.get("//@fill").text(), '#111111');
+        redis_client.get('map_style|db|lazy', this);
+      },
+      function checkRedis1(err, val) {
+        if ( err ) throw err;
+        var js = JSON.parse(val);
+        assert.equal(js.style, style);
+        assert.ok(js.hasOwnProperty('xml'), 'toXML did not store XML');
+        assert.ok(js.hasOwnProperty('xml_version'), 'toXML did not store xml_version');
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('lazy_xml setStyle rejects unparseable styles', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table:'lazy'}, function(err) {
+      if ( err ) { done(err); return; }
+      mml_builder.setStyle("{", function(err) {
+        assert.ok(err);
+        assert.ok(err.message.match(/style.mss:1/), err.message);
+        redis_client.keys("map_style|db|lazy*", function(err, matches) {
+          if ( err ) { done(err); return; }
+          assert.equal(matches.length, 0);
+          done();
+        });
+      });
+    });
+  });
+
+  test('setStyle keeps a history of style revisions', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {style_history: 2});
+    var styles = [ "#t { marker-fill: #111111; }",
+                   "#t { marker-fill: #222222; }",
+                   "#t { marker-fill: #333333; }" ];
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', table:'t'}, this);
+      },
+      function setStyle0(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(styles[0], this);
+      },
+      function setStyle1(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(styles[1], this, '2.0.2');
+      },
+      function setStyle2(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(styles[2], this);
+      },
+      function listRevisions(err) {
+        if ( err ) throw err;
+        mml_builder.listRevisions(this);
+      },
+      function getRevision(err, revisions) {
+        if ( err ) throw err;
+        // only the last 2 revisions are kept, newest first
+        assert.equal(revisions.length, 2);
+        assert.equal(revisions[0].id, 3);
+        assert.equal(revisions[0].version, '2.0.0');
+        assert.equal(revisions[1].id, 2);
+        assert.equal(revisions[1].version, '2.0.2');
+        assert.ok(revisions[1].timestamp <= revisions[0].timestamp);
+        assert.ok(!revisions[0].hasOwnProperty('style'));
+        mml_builder.getRevision(2, this);
+      },
+      function getDroppedRevision(err, revision) {
+        if ( err ) throw err;
+        assert.equal(revision.style, styles[1]);
+        assert.equal(revision.version, '2.0.2');
+        var next = this;
+        mml_builder.getRevision(1, function(err, revision) {
+          assert.ok(err);
+          assert.equal(err.message, "Style revision '1' not found");
+          next();
+        });
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('rollbackStyle restores a revision and invalidates extended keys', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var styles = [ "#t { marker-fill: #111111; }", "#t { marker-fill: #222222; }" ];
+    var mml_builder, sql_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', table:'t'}, this);
+      },
+      function setStyle0(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(styles[0], this);
+      },
+      function setStyle1(err) {
+        if ( err ) throw err;
+        mml_builder.setStyle(styles[1], this);
+      },
+      function initSqlBuilder(err) {
+        if ( err ) throw err;
+        sql_builder = mml_store.mml_builder({dbname: 'db', table:'t', sql: 'select * from t'}, this);
+      },
+      function rollback(err) {
+        if ( err ) throw err;
+        mml_builder.rollbackStyle(1, this);
+      },
+      function checkRedis(err) {
+        if ( err ) throw err;
+        var next = this;
+        redis_client.keys("map_style|db|t*", function(err, matches) {
+          if ( err ) { next(err); return; }
+          assert.deepEqual(matches, ['map_style|db|t']);
+          next();
+        });
+      },
+      function getXML(err) {
+        if ( err ) throw err;
+        sql_builder.toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        assert.equal(xmlDoc.get("//@fill").text(), '#111111');
+        mml_builder.listRevisions(this);
+      },
+      function checkRevisions(err, revisions) {
+        if ( err ) throw err;
+        // the rollback is the latest revision
+        assert.equal(revisions.length, 3);
+        assert.equal(revisions[0].id, 3);
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('extended keys are registered in the related keys index', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder, sql_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', table:'t'}, this);
+      },
+      function initSqlBuilder(err) {
+        if ( err ) throw err;
+        sql_builder = mml_store.mml_builder({dbname: 'db', table:'t', sql: 'select * from t'}, this);
+      },
+      function getIndex(err) {
+        if ( err ) throw err;
+        redis_client.zrange('map_style_related|db|t', 0, -1, this);
+      },
+      function setStyle(err, members) {
+        if ( err ) throw err;
+        assert.deepEqual(members, [extendedKey('map_style|db|t', {sql: 'select * from t'})]);
+        mml_builder.setStyle("#t { marker-fill: #111111; }", this);
+      },
+      function checkRedis(err) {
+        if ( err ) throw err;
+        var next = this;
+        redis_client.keys("map_style*|db|t*", function(err, matches) {
+          if ( err ) { next(err); return; }
+          // extended key and index are gone
+          assert.deepEqual(matches.sort(), ['map_style_history|db|t', 'map_style|db|t']);
+          next();
+        });
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('validateStyle reports located errors without storing', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table:'valid'}, function(err) {
+      if ( err ) { done(err); return; }
+      mml_builder.validateStyle("#valid {\n  backgrxxound-color: #fff;bad-tag: #fff;\n}", function(err, errors) {
+        if ( err ) { done(err); return; }
+        assert.equal(errors.length, 2);
+        assert.equal(errors[0].severity, 'error');
+        assert.equal(errors[0].filename, 'style.mss');
+        assert.equal(errors[0].line, 2);
+        assert.ok(errors[0].message.match(/Unrecognized rule/), errors[0].message);
+        assert.equal(errors[1].line, 2);
+        assert.ok(errors[1].column > errors[0].column);
+        redis_client.keys("map_style*|db|valid*", function(err, matches) {
+          if ( err ) { done(err); return; }
+          assert.equal(matches.length, 0);
+          done();
+        });
+      });
+    });
+  });
+
+  test('validateStyle reports no errors for good styles', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table:'valid'}, function(err) {
+      if ( err ) { done(err); return; }
+      mml_builder.validateStyle("#valid { polygon-fill: #fff; }", '2.0.2', function(err, errors) {
+        if ( err ) { done(err); return; }
+        assert.deepEqual(errors, []);
+        done();
+      });
+    });
+  });
+
+  test('validateStyle warns about style conversion', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true, mapnik_version: '2.1.0'});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table:'valid'}, function(err) {
+      if ( err ) { done(err); return; }
+      mml_builder.validateStyle("#valid { marker-width: 2; }", '2.0.2', function(err, errors) {
+        if ( err ) { done(err); return; }
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].severity, 'warning');
+        assert.ok(_.isNull(errors[0].line));
+        done();
+      });
+    });
+  });
+
+  test('interactivity settings are part of the base mml', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table: 'grid',
+      interactivity: {fields: ['cartodb_id', 'name']}});
+    assert.deepEqual(mml_builder.baseMML().interactivity,
+      {layer: 'grid', fields: 'cartodb_id,name'});
+    mml_builder = mml_store.mml_builder({dbname: 'db', table: 'grid'});
+    assert.ok(_.isUndefined(mml_builder.baseMML().interactivity));
+  });
+
+  test('interactivity layer must be one of the map layers', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    assert.throws(function() {
+      mml_store.mml_builder({dbname: 'db', layers: [ {table:'t1'}, {table:'t2'} ],
+        interactivity: {layer: 't3', fields: 'cartodb_id'}});
+    }, /Interactivity layer must be one of the map layers/);
+    assert.throws(function() {
+      mml_store.mml_builder({dbname: 'db', table: 'grid', interactivity: {fields: []}});
+    }, /Interactivity must include a list of fields/);
+  });
+
+  test('interactivity is rendered to XML and stored under an extended key', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', layers: [ {table:'t1'}, {table:'t2'} ],
+          interactivity: {layer: 't2', fields: 'cartodb_id,name'}}, this);
+      },
+      function getXML(err) {
+        if ( err ) throw err;
+        mml_builder.toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        assert.equal(xmlDoc.get("//Parameter[@name='interactivity_layer']").text(), 't2');
+        assert.equal(xmlDoc.get("//Parameter[@name='interactivity_fields']").text(), 'cartodb_id,name');
+        redis_client.keys("map_style|db|t1,t2|*", this);
+      },
+      function checkKeys(err, matches) {
+        if ( err ) throw err;
+        assert.deepEqual(matches, [ mml_builder.makeExtendedKey() ]);
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('map settings are part of the base mml', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true,
+      map: {srid: 3857, background_color: '#ABCDEF', parameters: {minzoom: 0, maxzoom: 18}}});
+    var mml = mml_store.mml_builder({dbname: 'db', table: 't', map: {'buffer-size': 64}}).baseMML();
+    assert.equal(mml.srs, '+init=epsg:3857');
+    assert.equal(String(mml['background-color']), '#ABCDEF');
+    assert.equal(String(mml['buffer-size']), '64');
+    assert.equal(mml.minzoom, 0);
+    assert.equal(mml.maxzoom, 18);
+    assert.throws(function() {
+      mml_store.mml_builder({dbname: 'db', table: 't', map: {parameters: {Layer: 'x'}}});
+    }, /Map parameter 'Layer' is reserved/);
+  });
+
+  test('Map rules of styles override map settings in XML', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true, mapnik_version: '2.1.0',
+      map: {srid: 3857, 'background-color': '#ABCDEF', 'buffer-size': 64,
+            parameters: {bounds: [-180, -85, 180, 85], center: [0, 0, 2]}}});
+    var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'});
+    mml_builder.render('Map { background-color: #111111; } #t { marker-fill: #FF0000; }', function(err, xml) {
+      if ( err ) { done(err); return; }
+      var xmlDoc = libxmljs.parseXmlString(xml);
+      var map = xmlDoc.get('/Map');
+      assert.equal(map.attr('background-color').value(), '#111111');
+      assert.equal(map.attr('buffer-size').value(), '64');
+      assert.equal(xmlDoc.get("//Parameter[@name='bounds']").text(), '-180,-85,180,85');
+      assert.equal(xmlDoc.get("//Parameter[@name='center']").text(), '0,0,2');
+      assert.ok( ! xmlDoc.get("//Parameter[@name='buffer-size']"));
+      done();
+    }, '2.1.0');
+  });
+
+  test('maps with settings of their own use extended keys', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var plain = mml_store.mml_builder({dbname: 'db', table: 't'});
+    var framed = mml_store.mml_builder({dbname: 'db', table: 't', map: {'buffer-size': 128}});
+    assert.ok(_.isUndefined(plain.makeExtendedKey()));
+    assert.equal(framed.makeExtendedKey(),
+      extendedKey('map_style|db|t', {map: JSON.stringify({'buffer-size': 128})}));
+  });
+
+  test('builds maps from non-PostGIS datasources', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({geom_type: 'polygon',
+          datasource: {type: 'shape', file: '/data/world.shp'}}, this);
+      },
+      function getXML(err) {
+        if ( err ) throw err;
+        assert.deepEqual(mml_builder.baseMML().Layer[0].Datasource,
+          {type: 'shape', file: '/data/world.shp'});
+        mml_builder.toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        var layer = xmlDoc.get("//Layer");
+        assert.equal(layer.attr('name').value(), 'world');
+        assert.equal(layer.attr('srs').value(), '+init=epsg:4326');
+        assert.equal(xmlDoc.get("//Parameter[@name='type']").text(), 'shape');
+        assert.equal(xmlDoc.get("//Parameter[@name='file']").text(), '/data/world.shp');
+        assert.ok(_.isNull(xmlDoc.get("//Parameter[@name='dbname']")));
+        assert.ok(xmlDoc.get("//PolygonSymbolizer"));
+        redis_client.keys("map_style|@shape|/data/world.shp*", this);
+      },
+      function checkKeys(err, matches) {
+        if ( err ) throw err;
+        assert.equal(matches.length, 2);
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('non-PostGIS datasources do not need a database', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    var mml_builder = mml_store.mml_builder({layers: [
+      {datasource: {type: 'sqlite', file: '/data/osm.sqlite', table: 'roads'}},
+      {id: 'dem', datasource: {type: 'gdal', file: '/data/dem.tif', srid: 3857}}
+    ]});
+    var layers = mml_builder.baseMML().Layer;
+    assert.equal(layers[0].id, 'roads');
+    assert.equal(layers[1].id, 'dem');
+    assert.equal(layers[1].srs, '+init=epsg:3857');
+    assert.ok(_.isUndefined(layers[1].Datasource.srid));
+    assert.throws(function() {
+      mml_store.mml_builder({layers: [ {table: 't1'},
+        {datasource: {type: 'gdal', file: '/data/dem.tif'}} ]});
+    }, /Options must include dbname/);
+    assert.throws(function() {
+      mml_store.mml_builder({sql: 'select 1', datasource: {type: 'shape', file: '/data/world.shp'}});
+    }, /Layer sql needs a PostGIS datasource/);
+  });
+
+  test('sql templates are expanded and keyed by template and parameters', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var template = "select * from tpl where cat = {{cat:int}} and the_geom && !bbox!";
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', table: 'tpl',
+          sql: template, sql_params: {cat: '7', unused: 'x'}}, this);
+      },
+      function getXML(err) {
+        if ( err ) throw err;
+        mml_builder.toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        var xmlDoc = libxmljs.parseXmlString(xml);
+        assert.equal(xmlDoc.get("//Parameter[@name='table']").text(),
+          "select * from tpl where cat = 7 and the_geom && !bbox!");
+        var lazy_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+        var same_key = lazy_store.mml_builder({dbname: 'db', table: 'tpl',
+          sql: template, sql_params: {cat: '7'}}).makeExtendedKey();
+        assert.equal(mml_builder.makeExtendedKey(), same_key);
+        assert.equal(mml_builder.makeExtendedKey(),
+          extendedKey('map_style|db|tpl', {sql: JSON.stringify([template, [['cat', '7']]])}));
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('sql template errors are thrown on construction', function() {
+    var mml_store = new grainstore.MMLStore(redis_opts, {lazy_xml: true});
+    assert.throws(function() {
+      mml_store.mml_builder({dbname: 'db', table: 'tpl', sql: "select * from tpl where cat = {{cat:int}}",
+        sql_params: {cat: "1 or 1=1"}});
+    }, /Invalid value for sql parameter 'cat'/);
+  });
+
+  test('geometry_resolver chooses default styles of layers with no geom_type', function(done) {
+    var resolved = [];
+    var resolver = function(layer, callback) {
+      resolved.push(layer.id);
+      assert.equal(layer.dbname, 'db');
+      assert.equal(layer.datasource.table, layer.table);
+      callback(null, layer.id == 'lines' ? 'ST_MultiLineString' : 'POLYGON');
+    };
+    var mml_store = new grainstore.MMLStore(redis_opts, {mapnik_version: '2.0.2', geometry_resolver: resolver});
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', layers: [
+          {table: 'lines'}, {table: 'areas'}, {table: 'places', geom_type: 'point'}
+        ]}, this);
+      },
+      function getStyle(err) {
+        if ( err ) throw err;
+        mml_builder.getStyle(this);
+      },
+      function checkStyle(err, data) {
+        if ( err ) throw err;
+        assert.deepEqual(resolved, ['lines', 'areas']);
+        assert.ok(data.style[0].match(/line-color/), data.style[0]);
+        assert.ok(data.style[1].match(/polygon-fill/), data.style[1]);
+        assert.ok(data.style[2].match(/marker-fill/), data.style[2]);
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('geometry_resolver errors are reported by init', function(done) {
+    var resolver = function(layer, callback) { callback(new Error('no such table')); };
+    var mml_store = new grainstore.MMLStore(redis_opts, {geometry_resolver: resolver});
+    mml_store.mml_builder({dbname: 'db', table: 'missing'}, function(err) {
+      assert.ok(err);
+      assert.equal(err.message, 'no such table');
+      done();
+    });
+  });
+
+  test('extended keys expire and are capped per base key', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {extended_key_ttl: 60, max_extended_keys: 2});
+    var sqls = ['select 1', 'select 2', 'select 3'];
+    var keys = [];
+    var builders = [];
+    Step(
+      function initBuilders() {
+        var next = this;
+        var initNext = function() {
+          if ( builders.length == sqls.length ) { next(null); return; }
+          var b = mml_store.mml_builder({dbname: 'db', table: 'capped', sql: sqls[builders.length]}, function(err) {
+            if ( err ) { next(err); return; }
+            keys.push(b.makeExtendedKey());
+            initNext();
+          });
+          builders.push(b);
+        };
+        initNext();
+      },
+      function listKeys(err) {
+        if ( err ) throw err;
+        redis_client.keys('map_style|db|capped|*', this);
+      },
+      function checkCap(err, matches) {
+        if ( err ) throw err;
+        assert.deepEqual(matches.sort(), [keys[1], keys[2]].sort());
+        redis_client.ttl(keys[2], this);
+      },
+      function checkTTL(err, ttl) {
+        if ( err ) throw err;
+        assert.ok(ttl > 0 && ttl <= 60, ttl);
+        builders[1].toXML(this);
+      },
+      function useSecond(err) {
+        if ( err ) throw err;
+        mml_store.mml_builder({dbname: 'db', table: 'capped', sql: 'select 4'}, this);
+      },
+      function checkEviction(err) {
+        if ( err ) throw err;
+        redis_client.keys('map_style|db|capped|*', this);
+      },
+      function checkKeys(err, matches) {
+        if ( err ) throw err;
+        // keys[2] was the least recently used
+        assert.equal(matches.length, 2);
+        assert.ok(_.include(matches, keys[1]));
+        assert.ok( ! _.include(matches, keys[2]));
+        return null;
+      },
+      function theEnd(err) {
+        builders[0].delStyle(function() { done(err); });
+      }
+    );
+  });
+
+  test('XML stored under legacy extended keys is moved to hashed keys', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var sql = 'select * from legacy where cartodb_id > 1';
+    var legacy_key = 'map_style|db|legacy|' + base64.encode(sql);
+    var key = extendedKey('map_style|db|legacy', {sql: sql});
+    var mml_builder;
+    Step(
+      function initBuilder() {
+        mml_builder = mml_store.mml_builder({dbname: 'db', table: 'legacy', sql: sql}, this);
+      },
+      function getRecord(err) {
+        if ( err ) throw err;
+        assert.equal(mml_builder.makeExtendedKey(), key);
+        redis_client.get(key, this);
+      },
+      function moveToLegacyKey(err, val) {
+        if ( err ) throw err;
+        var record = JSON.parse(val);
+        assert.deepEqual(record.key_source, {sql: sql, style: null, interactivity: null});
+        delete record.key_source;
+        record.xml = record.xml.replace('<Map', '<!-- legacy --><Map');
+        var next = this;
+        redis_client.multi()
+          .set(legacy_key, JSON.stringify(record))
+          .del(key)
+          .zrem('map_style_related|db|legacy', key)
+          .zadd('map_style_related|db|legacy', 0, legacy_key)
+          .exec(next);
+      },
+      function initAgain(err) {
+        if ( err ) throw err;
+        mml_store.mml_builder({dbname: 'db', table: 'legacy', sql: sql}).toXML(this);
+      },
+      function checkXML(err, xml) {
+        if ( err ) throw err;
+        assert.ok(xml.match(/<!-- legacy -->/), xml);
+        redis_client.keys('map_style|db|legacy*', this);
+      },
+      function checkKeys(err, matches) {
+        if ( err ) throw err;
+        assert.deepEqual(matches.sort(), ['map_style|db|legacy', key]);
+        redis_client.zrange('map_style_related|db|legacy', 0, -1, this);
+      },
+      function checkIndex(err, members) {
+        if ( err ) throw err;
+        assert.deepEqual(members, [key]);
+        redis_client.get(key, this);
+      },
+      function checkRecord(err, val) {
+        if ( err ) throw err;
+        assert.equal(JSON.parse(val).key_source.sql, sql);
+        return null;
+      },
+      function theEnd(err) {
+        mml_builder.delStyle(function() { done(err); });
+      }
+    );
+  });
+
   suiteTeardown(function() {
     // Close the server
     server.close();
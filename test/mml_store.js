@@ -1,6 +1,9 @@
 var assert     = require('assert');
 var _          = require('underscore');
+var Step       = require('step');
+var fs         = require('fs');
 var grainstore = require('../lib/grainstore');
+var fs_utils   = require('../lib/grainstore/fs_utils');
 var tests      = module.exports = {};
 
 var redis_opts = require('./support/redis_opts');
@@ -33,4 +36,768 @@ test('can create new mml_builders with normal ops and sql', function(done) {
   });
 });
 
+test('can create new mml_builders with a custom storage backend', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage});
+  var mml_builder = mml_store.mml_builder({dbname: 'my_database', table:'my_table'}, function(err, payload) {
+    if ( err ) { done(err); return; }
+    storage.keys('map_style|', function(err, keys) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(keys, ['map_style|my_database|my_table']);
+      mml_builder.delStyle(function(err) {
+        if ( err ) { done(err); return; }
+        assert.ok(_.isEmpty(storage.data));
+        done();
+      });
+    });
+  });
+});
+
+test('lazy_xml getStyle reads the style without rendering', function(done) {
+  var renders = 0;
+  var metrics = { timing: function(name) { if ( name == 'grainstore.render.carto' ) renders++; } };
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, metrics: metrics, lazy_xml: true});
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't', geom_type: 'point'});
+  mml_builder.getStyle(function(err, data) {
+    if ( err ) { done(err); return; }
+    assert.ok(/^#t/.test(data.style), data.style); // default style
+    assert.ok(_.isEmpty(storage.data));
+    mml_builder.setStyle('#t {marker-fill: #111111;}', function(err) {
+      if ( err ) { done(err); return; }
+      mml_builder.getStyle(function(err, data) {
+        if ( err ) { done(err); return; }
+        assert.equal(data.style, '#t {marker-fill: #111111;}');
+        assert.equal(data.version, '2.0.2');
+        assert.equal(renders, 0);
+        done();
+      });
+    }, '2.0.2');
+  });
+});
+
+test('registered themes change default styles', function(done) {
+  var mml_store = new grainstore.MMLStore(null, {storage: new grainstore.MemoryStorage(),
+    mapnik_version: '2.0.2', themes: {blue: {polygon_fill: '#0000FF'}}});
+  mml_store.registerTheme('labelled', {marker_fill: '#00FF00', label_field: 'name'});
+  var blue = mml_store.mml_builder({dbname: 'db', table: 'areas', geom_type: 'polygon', theme: 'blue'}, function(err) {
+    if ( err ) { done(err); return; }
+    var labelled = mml_store.mml_builder({dbname: 'db', table: 'places', theme: 'labelled'}, function(err) {
+      if ( err ) { done(err); return; }
+      blue.getStyle(function(err, data) {
+        if ( err ) { done(err); return; }
+        assert.ok(data.style.match(/polygon-fill:#0000FF/), data.style);
+        labelled.toXML(function(err, xml) {
+          if ( err ) { done(err); return; }
+          assert.ok(xml.match(/TextSymbolizer/), xml);
+          assert.ok(xml.match(/#00ff00/i), xml);
+          done();
+        });
+      });
+    });
+  });
+  assert.throws(function() {
+    mml_store.mml_builder({dbname: 'db', table: 'areas', theme: 'missing'});
+  }, /Unknown theme 'missing'/);
+});
+
+test('database default style applies to tables with no style', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage});
+  var styled = mml_store.mml_builder({dbname: 'db', table: 'styled'});
+  var defaulted = mml_store.mml_builder({dbname: 'db', table: 'defaulted'}, function(err) {
+    if ( err ) { done(err); return; }
+    styled.setStyle('#styled {marker-fill: #111111;}', function(err) {
+      if ( err ) { done(err); return; }
+      mml_store.setDatabaseStyle('db', '#table {polygon-fill: #ABCDEF;}', function(err) {
+        if ( err ) { done(err); return; }
+        assert.ok( ! storage.data['map_style|db|defaulted'], 'defaulted style was not reset');
+        mml_store.mml_builder({dbname: 'db', table: 'defaulted'}, function(err, payload) {
+          if ( err ) { done(err); return; }
+          assert.equal(JSON.parse(payload).style, '#defaulted {polygon-fill: #ABCDEF;}');
+          styled.getStyle(function(err, data) {
+            if ( err ) { done(err); return; }
+            assert.equal(data.style, '#styled {marker-fill: #111111;}');
+            mml_store.getDatabaseStyle('db', function(err, data) {
+              if ( err ) { done(err); return; }
+              assert.deepEqual(data, {style: '#table {polygon-fill: #ABCDEF;}'});
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test('reset default styles keep following the database default style', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, mapnik_version: '2.1.0'});
+  var defaulted = mml_store.mml_builder({dbname: 'db', table: 'defaulted'}, function(err) {
+    if ( err ) { done(err); return; }
+    defaulted.resetStyle(function(err) {
+      if ( err ) { done(err); return; }
+      assert.ok(JSON.parse(storage.data['map_style|db|defaulted']).defaulted);
+      mml_store.setDatabaseStyle('db', {style: '#table {polygon-fill: #ABCDEF;}', version: '2.1.0'}, function(err) {
+        if ( err ) { done(err); return; }
+        mml_store.mml_builder({dbname: 'db', table: 'defaulted'}, function(err, payload) {
+          if ( err ) { done(err); return; }
+          assert.equal(JSON.parse(payload).style, '#defaulted {polygon-fill: #ABCDEF;}');
+          mml_store.getDatabaseStyle('db', function(err, data) {
+            if ( err ) { done(err); return; }
+            assert.deepEqual(data, {style: '#table {polygon-fill: #ABCDEF;}', version: '2.1.0'});
+            done();
+          });
+        });
+      });
+    });
+  });
+});
+
+test('database default style is checked and can be removed', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage});
+  mml_store.setDatabaseStyle('db', '#table {polygon-fil: #ABCDEF;}', function(err) {
+    assert.ok(err);
+    assert.ok(err.message.match(/Unrecognized rule: polygon-fil/), err.message);
+    mml_store.setDatabaseStyle('db', '#table {polygon-fill: #ABCDEF;}', function(err) {
+      if ( err ) { done(err); return; }
+      mml_store.delDatabaseStyle('db', function(err) {
+        if ( err ) { done(err); return; }
+        mml_store.getDatabaseStyle('db', function(err, data) {
+          if ( err ) { done(err); return; }
+          assert.ok(_.isNull(data));
+          assert.ok(_.isEmpty(storage.data));
+          done();
+        });
+      });
+    });
+  });
+});
+
+test('subscribers are told about style changes', function(done) {
+  var mml_store = new grainstore.MMLStore(null, {storage: new grainstore.MemoryStorage()});
+  var changes = [];
+  mml_store.subscribe(function(change) {
+    changes.push(change);
+  }, function(err, subscription) {
+    if ( err ) { done(err); return; }
+    var base = mml_store.mml_builder({dbname: 'db', table: 't'});
+    var extended = mml_store.mml_builder({dbname: 'db', table: 't', sql: 'select 1'}, function(err) {
+      if ( err ) { done(err); return; }
+      base.setStyle('#t {marker-fill: #111111;}', function(err) {
+        if ( err ) { done(err); return; }
+        base.delStyle(function(err) {
+          if ( err ) { done(err); return; }
+          setTimeout(function() {
+            assert.deepEqual(changes, [
+              {db: 'db', table: 't', keys: ['map_style|db|t', extended.makeExtendedKey()]},
+              {db: 'db', table: 't', keys: ['map_style|db|t']}
+            ]);
+            subscription.unsubscribe(done);
+          }, 10);
+        });
+      });
+    });
+  });
+});
+
+test('close ends the subscriptions of the store', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, xml_cache: {}});
+  var changes = [];
+  mml_store.subscribe(function(change) { changes.push(change); }, function(err) {
+    if ( err ) { done(err); return; }
+    mml_store.close(function(err) {
+      if ( err ) { done(err); return; }
+      storage.publish('map_style_invalidation', JSON.stringify({keys: []}), function(err) {
+        if ( err ) { done(err); return; }
+        setTimeout(function() {
+          assert.deepEqual(changes, []);
+          done();
+        }, 10);
+      });
+    });
+  });
+});
+
+test('close ends the redis connections of the store', function(done) {
+  var mml_store = new grainstore.MMLStore(redis_opts, {xml_cache: {}});
+  mml_store.subscribe(function() {}, function() {});
+  mml_store.close(done);
+});
+
+test('xml_cache serves XML from memory until styles change', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, xml_cache: {max_entries: 10}});
+  var other_store = new grainstore.MMLStore(null, {storage: storage});
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'}, function(err) {
+    if ( err ) { done(err); return; }
+    // Cached XML is served even if storage is gone
+    storage.data = {};
+    mml_builder.toXML(function(err, xml) {
+      if ( err ) { done(err); return; }
+      assert.ok(xml.match(/MarkersSymbolizer/), xml);
+      assert.equal(mml_store.xmlCacheStats().hits, 1);
+      mml_builder.setStyle('#t {polygon-fill: #111111;}', function(err) {
+        if ( err ) { done(err); return; }
+        mml_builder.toXML(function(err, xml) {
+          if ( err ) { done(err); return; }
+          assert.ok(xml.match(/#111111/), xml);
+          // Changes made through other stores are published
+          other_store.mml_builder({dbname: 'db', table: 't'}).setStyle('#t {polygon-fill: #222222;}', function(err) {
+            if ( err ) { done(err); return; }
+            setTimeout(function() {
+              mml_builder.toXML(function(err, xml) {
+                if ( err ) { done(err); return; }
+                assert.ok(xml.match(/#222222/), xml);
+                var stats = mml_store.xmlCacheStats();
+                assert.equal(stats.hits, 1);
+                assert.equal(stats.misses, 3);
+                assert.equal(stats.entries, 1);
+                done();
+              });
+            }, 10);
+          });
+        });
+      });
+    });
+  });
+});
+
+test('concurrent builders of the same key render once', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var writes = 0;
+  var compareAndSet = storage.compareAndSet;
+  storage.compareAndSet = function() {
+    writes++;
+    compareAndSet.apply(storage, arguments);
+  };
+  var mml_store = new grainstore.MMLStore(null, {storage: storage});
+  var left = 10;
+  var payloads = [];
+  _.times(left, function() {
+    mml_store.mml_builder({dbname: 'db', table: 't'}, function(err, payload) {
+      if ( err ) { done(err); return; }
+      payloads.push(payload);
+      if ( --left ) return;
+      assert.equal(writes, 1);
+      assert.equal(_.uniq(payloads).length, 1);
+      done();
+    });
+  });
+});
+
+test('init calls after a style change do not join those started before', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, mapnik_version: '2.1.0'});
+  var opts = {dbname: 'db', table: 't'};
+  var get = storage.get;
+  Step(
+    function setFirstStyle() {
+      mml_store.mml_builder(opts).setStyle('#t {marker-fill: #111111;}', this);
+    },
+    function slowInitThenSetStyle(err) {
+      if ( err ) throw err;
+      // the next read of the style is answered late
+      storage.get = function(key, callback) {
+        storage.get = get;
+        get.call(storage, key, function(err, data) {
+          setTimeout(function() { callback(err, data); }, 200);
+        });
+      };
+      mml_store.mml_builder(opts).toXML(function() {});
+      mml_store.mml_builder(opts).setStyle('#t {marker-fill: #222222;}', this);
+    },
+    function getXML(err) {
+      if ( err ) throw err;
+      mml_store.mml_builder(opts).toXML(this);
+    },
+    function check(err, xml) {
+      if ( err ) throw err;
+      assert.ok(xml.indexOf('#222222') != -1, xml);
+      return null;
+    },
+    function finish(err) {
+      storage.get = get;
+      done(err);
+    }
+  );
+});
+
+test('render_lock keeps stores sharing the storage from rendering at once', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var writes = 0;
+  var compareAndSet = storage.compareAndSet;
+  storage.compareAndSet = function() {
+    writes++;
+    compareAndSet.apply(storage, arguments);
+  };
+  var stores = [
+    new grainstore.MMLStore(null, {storage: storage, render_lock: {retry: 10}}),
+    new grainstore.MMLStore(null, {storage: storage, render_lock: {retry: 10}})
+  ];
+  var left = stores.length;
+  _.each(stores, function(mml_store) {
+    mml_store.mml_builder({dbname: 'db', table: 't'}, function(err, payload) {
+      if ( err ) { done(err); return; }
+      assert.ok(JSON.parse(payload).xml);
+      if ( --left ) return;
+      assert.equal(writes, 1);
+      done();
+    });
+  });
+});
+
+test('expired extended keys are removed from the related keys index', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, extended_key_ttl: 0.05});
+  var index = 'map_style_related|db|t';
+  var another;
+  Step(
+    function makeKeys() {
+      var group = this.group();
+      _.each([1, 2, 3], function(i) {
+        mml_store.mml_builder({dbname: 'db', table: 't', sql: 'select ' + i}, group());
+      });
+    },
+    function wait(err) {
+      if ( err ) throw err;
+      assert.equal(_.keys(storage.indexes[index]).length, 3);
+      setTimeout(this, 100);
+    },
+    function makeAnother() {
+      another = mml_store.mml_builder({dbname: 'db', table: 't', sql: 'select 4'}, this);
+    },
+    function check(err) {
+      if ( err ) throw err;
+      assert.deepEqual(_.keys(storage.indexes[index]), [another.makeExtendedKey()]);
+      return null;
+    },
+    function finish(err) {
+      done(err);
+    }
+  );
+});
+
+test('expired extended keys are deleted from filesystem storages', function(done) {
+  var dir = '/tmp/grainstore_test_mml_store_fs';
+  var storage = new grainstore.FilesystemStorage(dir);
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, extended_key_ttl: 0.05});
+  var opts = function(i) { return {dbname: 'db', table: 't', sql: 'select ' + i}; };
+  var storedKeys = function() {
+    return _.map(fs.readdirSync(dir), function(f) {
+      return JSON.parse(fs.readFileSync(dir + '/' + f)).key;
+    }).sort();
+  };
+  var another;
+  Step(
+    function clean() {
+      fs_utils.removeTree(dir, this);
+    },
+    function makeFirst(err) {
+      if ( err ) throw err;
+      mml_store.mml_builder(opts(1), this);
+    },
+    function makeSecond(err) {
+      if ( err ) throw err;
+      mml_store.mml_builder(opts(2), this);
+    },
+    function wait(err) {
+      if ( err ) throw err;
+      assert.equal(storedKeys().length, 4); // base, index and extended keys
+      setTimeout(this, 100);
+    },
+    function makeAnother() {
+      another = mml_store.mml_builder(opts(4), this);
+    },
+    function check(err) {
+      if ( err ) throw err;
+      assert.deepEqual(storedKeys(), [another.makeExtendedKey(), 'map_style_related|db|t', 'map_style|db|t'].sort());
+      return null;
+    },
+    function finish(err) {
+      fs_utils.removeTree(dir, function() { done(err); });
+    }
+  );
+});
+
+test('xml_cache hits count as uses of extended keys', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, xml_cache: {}, max_extended_keys: 2});
+  var builders = {};
+  var build = function(i, callback) {
+    builders[i] = mml_store.mml_builder({dbname: 'db', table: 't', sql: 'select ' + i}, function(err) {
+      // let the touches happen
+      setTimeout(function() { callback(err); }, 10);
+    });
+  };
+  Step(
+    function makeFirst() { build(1, this); },
+    function makeSecond(err) { if ( err ) throw err; build(2, this); },
+    function useFirst(err) { if ( err ) throw err; build(1, this); },
+    function makeThird(err) {
+      if ( err ) throw err;
+      assert.equal(mml_store.xmlCacheStats().hits, 1);
+      build(3, this);
+    },
+    function check(err) {
+      if ( err ) throw err;
+      // the second one was the least recently used
+      assert.deepEqual(_.keys(storage.indexes['map_style_related|db|t']).sort(),
+                       [builders[1].makeExtendedKey(), builders[3].makeExtendedKey()].sort());
+      return null;
+    },
+    function finish(err) {
+      done(err);
+    }
+  );
+});
+
+test('xml_cache hits refresh the ttl of extended keys', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, xml_cache: {}, extended_key_ttl: 0.2});
+  var opts = {dbname: 'db', table: 'ttl', sql: 'select 1'};
+  var key;
+  Step(
+    function makeKey() {
+      key = mml_store.mml_builder(opts, this).makeExtendedKey();
+    },
+    function wait(err) {
+      if ( err ) throw err;
+      setTimeout(this, 120);
+    },
+    function useKey() {
+      mml_store.mml_builder(opts, this);
+    },
+    function waitPastFirstExpiration(err) {
+      if ( err ) throw err;
+      assert.equal(mml_store.xmlCacheStats().hits, 1);
+      setTimeout(this, 140);
+    },
+    function getKey() {
+      storage.get(key, this);
+    },
+    function check(err, data) {
+      if ( err ) throw err;
+      assert.ok(data, 'extended key expired');
+      return null;
+    },
+    function finish(err) {
+      done(err);
+    }
+  );
+});
+
+test('resolved geometry types with no default style use the point one', function(done) {
+  var types = {g: 'GEOMETRY', c: 'ST_GeometryCollection', s: 'CIRCULARSTRING', p: 'POLYGON'};
+  var resolver = function(layer, callback) { callback(null, types[layer.table]); };
+  var mml_store = new grainstore.MMLStore(null, {storage: new grainstore.MemoryStorage(),
+                                                 mapnik_version: '2.0.2', geometry_resolver: resolver});
+  mml_store.mml_builder({dbname: 'db', layers: [{table: 'g'}, {table: 'c'}, {table: 's'}, {table: 'p'}]}, function(err, payload) {
+    if ( err ) { done(err); return; }
+    var style = JSON.parse(payload).style;
+    _.each([0, 1, 2], function(i) { assert.ok(style[i].match(/marker-fill/), style[i]); });
+    assert.ok(style[3].match(/polygon-fill/), style[3]);
+    done();
+  });
+});
+
+test('unknown map properties are rejected', function() {
+  var mml_store = new grainstore.MMLStore(null, {storage: new grainstore.MemoryStorage(), mapnik_version: '2.1.0'});
+  assert.throws(function() {
+    mml_store.mml_builder({dbname: 'db', table: 't', map: {background_colour: '#ABCDEF'}});
+  }, /Unknown map property 'background_colour'/);
+  // Known to later mapnik versions only
+  assert.throws(function() {
+    mml_store.mml_builder({dbname: 'db', table: 't', map: {'background-image-opacity': 0.5}});
+  }, /Unknown map property 'background-image-opacity'/);
+});
+
+test('map property values are escaped in XML', function(done) {
+  var mml_store = new grainstore.MMLStore(null, {storage: new grainstore.MemoryStorage(), mapnik_version: '2.1.0',
+    map: {srid: 3857, 'buffer-size': 64, font_directory: '/fonts/"a" & <b>'}});
+  mml_store.mml_builder({dbname: 'db', table: 't'}).toXML(function(err, xml) {
+    if ( err ) { done(err); return; }
+    var map = xml.match(/<Map [^>]*>/)[0];
+    assert.ok(map.indexOf(' font-directory="/fonts/&quot;a&quot; &amp; &lt;b&gt;"') != -1, map);
+    assert.ok(map.indexOf(' buffer-size="64"') != -1, map);
+    assert.ok( ! /<Parameter name="(buffer-size|font-directory)"/.test(xml), xml);
+    done();
+  });
+});
+
+test('stores in different namespaces or tenants do not share styles', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var staging = new grainstore.MMLStore(null, {storage: storage, namespace: 'staging'});
+  var acme = new grainstore.MMLStore(null, {storage: storage, namespace: 'staging', tenant: 'acme'});
+  var opts = {dbname: 'db', table: 't'};
+  staging.mml_builder(opts).setStyle('#t {marker-fill: #111111;}', function(err) {
+    if ( err ) { done(err); return; }
+    acme.mml_builder(opts, function(err, payload) {
+      if ( err ) { done(err); return; }
+      assert.notEqual(JSON.parse(payload).style, '#t {marker-fill: #111111;}');
+      assert.deepEqual(_.keys(storage.data).sort(), [
+        'ns=staging:map_style_history|db|t',
+        'ns=staging:map_style|db|t',
+        'ns=staging:t=acme:map_style|db|t'
+      ]);
+      done();
+    });
+  });
+});
+
+test('names with delimiters do not clash with extended keys', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage});
+  mml_store.mml_builder({dbname: 'db', table: 'a|b', id: 'ab'}, function(err) {
+    if ( err ) { done(err); return; }
+    assert.deepEqual(_.keys(storage.data), ['map_style|db|a%7Cb']);
+    mml_store.setDatabaseStyle('db', '#table {polygon-fill: #ABCDEF;}', function(err) {
+      if ( err ) { done(err); return; }
+      // the defaulted style of "a|b" was found and reset
+      assert.deepEqual(_.keys(storage.data), ['map_style_default|db']);
+      done();
+    });
+  });
+});
+
+test('datasource credentials count for extended keys but are not kept in their source', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage});
+  var opts = {dbname: 'db', table: 't', sql: 'select * from t',
+              datasource: {user: 'alice', password: 'secret', host: 'db.example.com'}};
+  var mml_builder = mml_store.mml_builder(opts, function(err) {
+    if ( err ) { done(err); return; }
+    var key = mml_builder.makeExtendedKey();
+    var other_opts = _.extend({}, opts, {datasource: _.extend({}, opts.datasource, {password: 'other'})});
+    assert.notEqual(mml_store.mml_builder(other_opts).makeExtendedKey(), key);
+    var key_source = JSON.parse(storage.data[key]).key_source;
+    assert.deepEqual(JSON.parse(key_source.sql), ['select * from t', {host: 'db.example.com'}]);
+    done();
+  });
+});
+
+test('metrics hook is told about cache hits, renders and regenerations', function(done) {
+  var counts = {};
+  var values = {};
+  var metrics = {
+    increment: function(name) { counts[name] = ( counts[name] || 0 ) + 1; },
+    timing: function(name, ms) { values[name] = ms; },
+    histogram: function(name, value) { values[name] = value; }
+  };
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, metrics: metrics, xml_cache: {}});
+  mml_store.mml_builder({dbname: 'db', table: 't'}, function(err, payload) {
+    if ( err ) { done(err); return; }
+    assert.deepEqual(counts, {
+      'grainstore.xml_cache.miss': 1,
+      'grainstore.regenerate.no_record': 1,
+      'grainstore.render.default_style': 1
+    });
+    assert.ok(values['grainstore.render.millstone'] >= 0);
+    assert.ok(values['grainstore.render.carto'] >= 0);
+    assert.equal(values['grainstore.render.xml_bytes'], Buffer.byteLength(JSON.parse(payload).xml));
+    mml_store.mml_builder({dbname: 'db', table: 't'}, function(err) {
+      if ( err ) { done(err); return; }
+      assert.equal(counts['grainstore.xml_cache.hit'], 1);
+      var other_store = new grainstore.MMLStore(null, {storage: storage, metrics: metrics,
+                                                       mapnik_version: '2.1.0'});
+      other_store.mml_builder({dbname: 'db', table: 't'}, function(err) {
+        if ( err ) { done(err); return; }
+        assert.equal(counts['grainstore.regenerate.xml_version'], 1);
+        other_store.mml_builder({dbname: 'db', table: 't'}, function(err) {
+          if ( err ) { done(err); return; }
+          assert.equal(counts['grainstore.store.hit'], 1);
+          done();
+        });
+      });
+    });
+  });
+});
+
+test('stores and builders emit lifecycle events', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, mapnik_version: '2.1.0'});
+  var events = [];
+  _.each(['styleChanged', 'styleDeleted', 'xmlRegenerated', 'renderError', 'convertedStyle'], function(name) {
+    mml_store.on(name, function(info) { events.push([name, info]); });
+  });
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'}, function(err) {
+    if ( err ) { done(err); return; }
+    assert.deepEqual(events, [['xmlRegenerated',
+      {db: 'db', table: 't', key: 'map_style|db|t', mapnik_version: '2.1.0', reason: 'no_record'}]]);
+    var builder_events = [];
+    mml_builder.on('styleChanged', function(info) { builder_events.push(info); });
+    events = [];
+    mml_builder.setStyle('#t {marker-opacity: 0.5;}', function(err) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(_.pluck(events, 0), ['convertedStyle', 'styleChanged']);
+      assert.equal(events[0][1].from_version, '2.0.0');
+      assert.equal(events[0][1].to_version, '2.1.0');
+      assert.ok(events[0][1].style.match(/marker-fill-opacity/), events[0][1].style);
+      assert.deepEqual(events[1][1], {db: 'db', table: 't', style: '#t {marker-opacity: 0.5;}', version: '2.0.0'});
+      assert.deepEqual(builder_events, [events[1][1]]);
+      events = [];
+      mml_builder.setStyle('#t {marker-fill: #xyz;}', function(err) {
+        assert.ok(err);
+        assert.deepEqual(_.pluck(events, 0), ['renderError']);
+        assert.equal(events[0][1].error, err);
+        events = [];
+        mml_builder.delStyle(function(err) {
+          if ( err ) { done(err); return; }
+          assert.deepEqual(events, [['styleDeleted', {db: 'db', table: 't'}]]);
+          done();
+        });
+      }, '2.1.0');
+    }, '2.0.0');
+  });
+});
+
+test('registered assets are resolved on render', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, mapnik_version: '2.1.0'});
+  var resources = require('path').resolve(__dirname, 'support/resources');
+  mml_store.registerAsset('icons', resources);
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'});
+  mml_builder.validateStyle('#t {marker-file: url(asset://pins/pin.svg);}', '2.1.0', function(err, errors) {
+    if ( err ) { done(err); return; }
+    assert.deepEqual(errors, [{message: "Unknown asset 'asset://pins/pin.svg'", severity: 'error',
+                               filename: 'style.mss', line: 1, column: 22}]);
+    mml_builder.setStyle('#t {marker-file: url(asset://icons/circle.svg);}', function(err) {
+      if ( err ) { done(err); return; }
+      mml_builder.toXML(function(err, xml) {
+        if ( err ) { done(err); return; }
+        assert.ok(xml.indexOf('file="' + resources + '/circle.svg"') != -1, xml);
+        done();
+      });
+    }, '2.1.0');
+  });
+});
+
+test('external resources policy violations are style errors', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, mapnik_version: '2.1.0',
+                                                 external_resources: {offline: true}});
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'});
+  mml_builder.setStyle('#t {\n  marker-file: url(http://example.com/pin.png);\n}', function(err) {
+    assert.ok(err);
+    assert.deepEqual(err.errors, [{message: "External resource 'http://example.com/pin.png' is not allowed in offline mode",
+                                   severity: 'error', filename: 'style.mss', line: 2, column: 20}]);
+    assert.ok( ! /example\.com/.test(storage.data['map_style|db|t'] || ''));
+    done();
+  }, '2.1.0');
+});
+
+test('lazy_xml setStyle reports external resources policy violations', function(done) {
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, mapnik_version: '2.1.0', lazy_xml: true,
+                                                 external_resources: {allow: ['tiles.example.com']}});
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'});
+  mml_builder.setStyle('#t {\n  marker-file: url(http://example.com/pin.png);\n}', function(err) {
+    assert.ok(err);
+    assert.deepEqual(err.errors, [{message: "External resource 'http://example.com/pin.png' is not allowed",
+                                   severity: 'error', filename: 'style.mss', line: 2, column: 20}]);
+    assert.ok( ! storage.data['map_style|db|t']);
+    done();
+  }, '2.1.0');
+});
+
+test('maps evicted from the millstone cache get their XML generated again', function(done) {
+  var cachedir = '/tmp/grainstore_test_mml_store_cache';
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, cachedir: cachedir,
+                                                 mapnik_version: '2.1.0', millstone_cache: {max_bytes: 1}});
+  var reasons = [];
+  mml_store.on('xmlRegenerated', function(info) { reasons.push(info.table + ':' + info.reason); });
+  fs_utils.removeTree(cachedir, function(err) {
+    if ( err ) { done(err); return; }
+    // resources of t1, over the limit
+    _.each([cachedir, cachedir + '/db', cachedir + '/db/t1', cachedir + '/db/t1/cache'], function(d) { fs.mkdirSync(d); });
+    fs.writeFileSync(cachedir + '/db/t1/cache/pin.png', 'png');
+    mml_store.mml_builder({dbname: 'db', table: 't1'}, function(err) {
+      if ( err ) { done(err); return; }
+      mml_store.mml_builder({dbname: 'db', table: 't2'}, function(err) {
+        if ( err ) { done(err); return; }
+        assert.ok( ! fs.existsSync(cachedir + '/db/t1'));
+        assert.ok( ! JSON.parse(storage.data['map_style|db|t1']).xml);
+        mml_store.mml_builder({dbname: 'db', table: 't1'}, function(err) {
+          assert.deepEqual(reasons, ['t1:no_record', 't2:no_record', 't1:no_xml']);
+          fs_utils.removeTree(cachedir, function() { done(err); });
+        });
+      });
+    });
+  });
+});
+
+test('validateStyle neither writes storage nor evicts resources', function(done) {
+  var cachedir = '/tmp/grainstore_test_mml_store_cache';
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, cachedir: cachedir,
+                                                 mapnik_version: '2.1.0', millstone_cache: {max_bytes: 1}});
+  fs_utils.removeTree(cachedir, function(err) {
+    if ( err ) { done(err); return; }
+    // resources of t1, over the limit
+    _.each([cachedir, cachedir + '/db', cachedir + '/db/t1', cachedir + '/db/t1/cache'], function(d) { fs.mkdirSync(d); });
+    fs.writeFileSync(cachedir + '/db/t1/cache/pin.png', 'png');
+    mml_store.mml_builder({dbname: 'db', table: 't1'}, function(err) {
+      if ( err ) { done(err); return; }
+      var data = JSON.stringify(storage.data);
+      var set = storage.set;
+      var writes = 0;
+      storage.set = function() { ++writes; set.apply(storage, arguments); };
+      mml_store.mml_builder({dbname: 'db', table: 't2'}).validateStyle('#t2 {marker-width: 2;}', function(err, errors) {
+        storage.set = set;
+        if ( err ) { done(err); return; }
+        assert.deepEqual(errors, []);
+        assert.equal(writes, 0);
+        assert.equal(JSON.stringify(storage.data), data);
+        // not evicted
+        assert.ok(fs.existsSync(cachedir + '/db/t1/cache/pin.png'));
+        fs_utils.removeTree(cachedir, done);
+      });
+    });
+  });
+});
+
+test('validateStyle only warns about conversion of versions given', function(done) {
+  var mml_store = new grainstore.MMLStore(null, {storage: new grainstore.MemoryStorage(), mapnik_version: '2.1.0'});
+  var mml_builder = mml_store.mml_builder({dbname: 'db', table: 't'});
+  mml_builder.validateStyle('#t {marker-width: 2;}', function(err, errors) {
+    if ( err ) { done(err); return; }
+    assert.deepEqual(errors, []);
+    mml_builder.validateStyle('#t {marker-width: 2;}', '2.1.0', function(err, errors) {
+      if ( err ) { done(err); return; }
+      assert.deepEqual(errors, []);
+      mml_builder.validateStyle('#t {marker-width: 2;}', '2.0.2', function(err, errors) {
+        if ( err ) { done(err); return; }
+        assert.deepEqual(_.pluck(errors, 'severity'), ['warning']);
+        assert.ok(/converted from version 2.0.2 to 2.1.0/.test(errors[0].message), errors[0].message);
+        done();
+      });
+    });
+  });
+});
+
+test('sweepMillstoneCache removes resources of maps with no style', function(done) {
+  var cachedir = '/tmp/grainstore_test_mml_store_cache';
+  var storage = new grainstore.MemoryStorage();
+  var mml_store = new grainstore.MMLStore(null, {storage: storage, cachedir: cachedir, namespace: 'staging'});
+  fs_utils.removeTree(cachedir, function(err) {
+    if ( err ) { done(err); return; }
+    _.each([cachedir, cachedir + '/ns=staging', cachedir + '/ns=staging/db',
+            cachedir + '/ns=staging/db/kept', cachedir + '/ns=staging/db/kept/base',
+            cachedir + '/ns=staging/db/gone', cachedir + '/ns=staging/db/gone/cache'], function(d) { fs.mkdirSync(d); });
+    storage.set('ns=staging:map_style|db|kept', JSON.stringify({style: '#kept {}'}), function(err) {
+      if ( err ) { done(err); return; }
+      mml_store.sweepMillstoneCache(function(err, removed) {
+        if ( err ) { done(err); return; }
+        assert.deepEqual(removed, [{db: 'db', table: 'gone'}]);
+        assert.deepEqual(fs.readdirSync(cachedir + '/ns=staging/db'), ['kept']);
+        fs_utils.removeTree(cachedir, done);
+      });
+    });
+  });
+});
+
 });
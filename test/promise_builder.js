@@ -0,0 +1,67 @@
+var assert     = require('assert');
+var _          = require('underscore');
+var grainstore = require('../lib/grainstore');
+
+var redis_opts = require('./support/redis_opts');
+
+suite('promise_builder', function() {
+
+  test('builder rejects on bad options', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    mml_store.builder({}).then(function() {
+      done(new Error("builder with no dbname resolved"));
+    }, function(err) {
+      assert.equal(err.message, "Options must include dbname and table");
+      done();
+    });
+  });
+
+  test('builder resolves to an initialized builder', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder;
+    mml_store.builder({dbname: 'db', table: 'tab'}).then(function(builder) {
+      mml_builder = builder;
+      assert.ok(_.isFunction(builder.toXML));
+      assert.ok(builder.builder, 'no underlying callback builder');
+      return builder.toXML();
+    }).then(function(xml) {
+      assert.ok(xml.match(/<Layer name="tab"/), xml);
+      return mml_builder.delStyle();
+    }).then(function() { done(); }, done);
+  });
+
+  test('can set, get and delete styles with options objects', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts, {mapnik_version: '2.1.0'});
+    var style = "#tab { marker-width: 3; }";
+    var mml_builder;
+    mml_store.builder({dbname: 'db', table: 'tab'}).then(function(builder) {
+      mml_builder = builder;
+      return builder.setStyle({style: style, version: '2.0.2'});
+    }).then(function() {
+      return mml_builder.getStyle();
+    }).then(function(data) {
+      assert.equal(data.style, style);
+      assert.equal(data.version, '2.0.2');
+      return mml_builder.getStyle({convert: true});
+    }).then(function(data) {
+      assert.equal(data.version, '2.1.0');
+      assert.ok(data.style.match(/marker-width:6/), data.style);
+      return mml_builder.delStyle();
+    }).then(function() { done(); }, done);
+  });
+
+  test('setStyle rejects with carto errors', function(done) {
+    var mml_store = new grainstore.MMLStore(redis_opts);
+    var mml_builder;
+    mml_store.builder({dbname: 'db', table: 'tab'}).then(function(builder) {
+      mml_builder = builder;
+      return builder.setStyle("#tab {\n  backgrxxound-color: #fff;\n}");
+    }).then(function() {
+      throw new Error("bad style accepted");
+    }, function(err) {
+      assert.ok(err.message.match(/Unrecognized rule/), err.message);
+      return mml_builder.delStyle();
+    }).then(function() { done(); }, done);
+  });
+
+});
@@ -0,0 +1,175 @@
+var assert = require('assert');
+var _      = require('underscore');
+var fs     = require('fs');
+var http   = require('http');
+var ResourcePolicy = require('../lib/grainstore/resource_policy');
+
+suite('resource_policy', function() {
+
+  var server;
+  var server_port = 8034;
+  var base_url = 'http://localhost:' + server_port;
+  var cachedir = '/tmp/grainstore_test_resource_policy';
+
+  suiteSetup(function(done) {
+    server = http.createServer(function(request, response) {
+      if ( request.url == '/redirect' ) {
+        response.writeHead(302, {'Location': '/circle.svg'});
+        response.end();
+      } else if ( request.url == '/elsewhere' ) {
+        response.writeHead(302, {'Location': 'http://127.0.0.1:' + server_port + '/circle.svg'});
+        response.end();
+      } else if ( request.url == '/slow' ) {
+        setTimeout(function() { response.end('late'); }, 500);
+      } else if ( request.url == '/drip' ) {
+        // a byte every 20 ms, for 200 ms
+        var left = 10;
+        var drip = setInterval(function() {
+          response.write('x');
+          if ( --left ) return;
+          clearInterval(drip);
+          response.end();
+        }, 20);
+      } else if ( request.url == '/big' ) {
+        response.write(new Array(1000).join('x'));
+        response.end(new Array(1000).join('x'));
+      } else {
+        fs.readFile('test/support/resources' + request.url, function(err, data) {
+          if ( err ) { response.writeHead(404); response.end(); return; }
+          response.end(data);
+        });
+      }
+    });
+    server.listen(server_port, done);
+  });
+
+  suiteTeardown(function() {
+    server.close();
+  });
+
+  setup(function() {
+    _.each(fs.existsSync(cachedir) ? fs.readdirSync(cachedir) : [], function(f) {
+      fs.unlinkSync(cachedir + '/' + f);
+    });
+  });
+
+  test('checks resources against the allowed hosts and url prefixes', function() {
+    var policy = new ResourcePolicy({allow: ['tiles.example.com', '*.cdn.org', 'https://x.net/icons/']});
+    assert.equal(policy.check('http://tiles.example.com/a.png'), null);
+    assert.equal(policy.check('http://a.b.cdn.org/a.png'), null);
+    assert.equal(policy.check('https://x.net/icons/a.png'), null);
+    assert.equal(policy.check('http://cdn.org.evil.com/a.png'),
+      "External resource 'http://cdn.org.evil.com/a.png' is not allowed");
+    assert.ok(policy.check('https://x.net/other/a.png'));
+    assert.ok(new ResourcePolicy({offline: true}).check('http://tiles.example.com/a.png').match(/offline/));
+    assert.equal(new ResourcePolicy({}).check('http://anywhere.com/a.png'), null);
+  });
+
+  test('fetches allowed resources and localizes references', function(done) {
+    var policy = new ResourcePolicy({allow: ['localhost']});
+    var style = '#t { marker-file: url(' + base_url + '/circle.svg); }\n' +
+                '#t { polygon-pattern-file: url("' + base_url + '/redirect"); }';
+    policy.localizeStyle(style, 'style.mss', cachedir, function(err, localized) {
+      if ( err ) { done(err); return; }
+      var files = localized.match(/\/tmp\/grainstore_test_resource_policy\/[0-9a-f]+(\.svg)?/g);
+      assert.equal(files.length, 2, localized);
+      assert.ok(files[0].match(/\.svg$/));
+      assert.equal(fs.readFileSync(files[0]).toString(),
+                   fs.readFileSync('test/support/resources/circle.svg').toString());
+      assert.equal(fs.readFileSync(files[1]).toString(), fs.readFileSync(files[0]).toString());
+      done();
+    });
+  });
+
+  test('reports violations as located style errors', function(done) {
+    var policy = new ResourcePolicy({allow: ['localhost'], max_size: 1000, timeout: 100});
+    var style = '#t { marker-file: url(http://example.com/a.png); }\n' +
+                '#t { marker-file: url(' + base_url + '/big); }\n' +
+                '#t { marker-file: url(' + base_url + '/slow); }\n' +
+                '#t { marker-file: url(' + base_url + '/elsewhere); }\n' +
+                '#t { marker-file: url(' + base_url + '/missing.png); }';
+    policy.localizeStyle(style, 'style.mss', cachedir, function(err) {
+      assert.ok(err);
+      assert.deepEqual(_.pluck(err.errors, 'line'), [1, 2, 3, 4, 5]);
+      assert.deepEqual(_.pluck(err.errors, 'column'), [23, 23, 23, 23, 23]);
+      assert.equal(err.errors[0].message, "External resource 'http://example.com/a.png' is not allowed");
+      assert.equal(err.errors[1].message, "Resource '" + base_url + "/big' is bigger than 1000 bytes");
+      assert.equal(err.errors[2].message, "Resource '" + base_url + "/slow' timed out after 100 ms");
+      assert.ok(err.errors[3].message.match(/is not allowed \(redirected from/), err.errors[3].message);
+      assert.ok(err.errors[4].message.match(/server returned 404/), err.errors[4].message);
+      done();
+    });
+  });
+
+  test('timeout limits whole downloads, not only idle times', function(done) {
+    var policy = new ResourcePolicy({timeout: 100});
+    policy.localizeStyle('#t { marker-file: url(' + base_url + '/drip); }', 'style.mss', cachedir, function(err) {
+      assert.ok(err);
+      assert.equal(err.errors[0].message, "Resource '" + base_url + "/drip' timed out after 100 ms");
+      // no partial download left
+      setTimeout(function() {
+        assert.deepEqual(fs.readdirSync(cachedir), []);
+        done();
+      }, 50);
+    });
+  });
+
+  test('concurrent fetches of a resource do not share their downloads', function(done) {
+    var policy = new ResourcePolicy();
+    var style = '#t { marker-file: url(' + base_url + '/drip); }';
+    var left = 2;
+    var localized = function(err, data) {
+      if ( err ) { left = -1; done(err); return; }
+      if ( --left ) return;
+      var file = data.match(/\/tmp\/grainstore_test_resource_policy\/[0-9a-f]+/)[0];
+      assert.equal(fs.readFileSync(file).toString(), 'xxxxxxxxxx');
+      assert.deepEqual(fs.readdirSync(cachedir), [file.substr(cachedir.length + 1)]);
+      done();
+    };
+    policy.localizeStyle(style, 'style.mss', cachedir, localized);
+    policy.localizeStyle(style, 'style.mss', cachedir, localized);
+  });
+
+  test('offline mode rejects remote datasource files', function() {
+    var policy = new ResourcePolicy({offline: true});
+    var err = policy.checkLayers([ {Datasource: {type: 'shape', file: 'http://example.com/world.zip'}},
+                                   {Datasource: {type: 'shape', file: '/data/world.shp'}} ]);
+    assert.equal(err.errors.length, 1);
+    assert.equal(err.errors[0].message, "External resource 'http://example.com/world.zip' is not allowed in offline mode");
+  });
+
+  test('fetches remote datasource files within the limits', function(done) {
+    var policy = new ResourcePolicy({allow: ['localhost'], max_size: 1000});
+    var layers = [ {Datasource: {type: 'ogr', file: base_url + '/circle.svg'}},
+                   {Datasource: {type: 'shape', file: '/data/world.shp'}} ];
+    policy.localizeLayers(layers, cachedir, function(err) {
+      if ( err ) { done(err); return; }
+      var file = layers[0].Datasource.file;
+      assert.ok(file.match(/^\/tmp\/grainstore_test_resource_policy\/[0-9a-f]+\.svg$/), file);
+      assert.equal(fs.readFileSync(file).toString(),
+                   fs.readFileSync('test/support/resources/circle.svg').toString());
+      assert.equal(layers[1].Datasource.file, '/data/world.shp');
+      layers = [ {Datasource: {type: 'shape', file: base_url + '/big'}} ];
+      policy.localizeLayers(layers, cachedir, function(err) {
+        assert.ok(err);
+        assert.equal(err.errors[0].message, "Resource '" + base_url + "/big' is bigger than 1000 bytes");
+        assert.equal(layers[0].Datasource.file, base_url + '/big');
+        done();
+      });
+    });
+  });
+
+  test('checks the resources of MMLs without fetching them', function() {
+    var policy = new ResourcePolicy({allow: ['localhost']});
+    var err = policy.checkMML({
+      Layer: [ {Datasource: {type: 'shape', file: 'http://example.com/world.zip'}} ],
+      Stylesheet: [ {id: 'style.mss', data: '#t {\n  marker-file: url(http://example.com/pin.png);\n}'} ]
+    });
+    assert.deepEqual(_.pluck(err.errors, 'message'), [ "External resource 'http://example.com/world.zip' is not allowed",
+                                                       "External resource 'http://example.com/pin.png' is not allowed" ]);
+    assert.equal(err.errors[1].line, 2);
+    assert.equal(policy.checkMML({Layer: [], Stylesheet: [ {id: 'style.mss', data: '#t { marker-file: url(' + base_url + '/a.png); }'} ]}), null);
+    assert.deepEqual(fs.readdirSync(cachedir), []);
+  });
+
+});
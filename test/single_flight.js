@@ -0,0 +1,65 @@
+var assert       = require('assert');
+var SingleFlight = require('../lib/grainstore/single_flight');
+
+suite('single_flight', function() {
+
+  test('concurrent calls for the same key run once', function(done) {
+    var flight = new SingleFlight();
+    var runs = 0;
+    var results = [];
+    var fn = function(callback) {
+      runs++;
+      setTimeout(function() { callback(null, 'result ' + runs); }, 5);
+    };
+    var collect = function(err, result) {
+      results.push(result);
+      if ( results.length < 3 ) return;
+      assert.equal(runs, 1);
+      assert.deepEqual(results, ['result 1', 'result 1', 'result 1']);
+      assert.equal(flight.size(), 0);
+      // Calls after completion run again
+      flight.run('k', fn, function(err, result) {
+        assert.equal(result, 'result 2');
+        done();
+      });
+    };
+    flight.run('k', fn, collect);
+    flight.run('k', fn, collect);
+    flight.run('k', fn, collect);
+    assert.equal(flight.size(), 1);
+  });
+
+  test('forgotten keys run again', function(done) {
+    var flight = new SingleFlight();
+    var runs = 0;
+    var results = [];
+    var fn = function(callback) {
+      var run = ++runs;
+      setTimeout(function() { callback(null, 'result ' + run); }, 5);
+    };
+    var collect = function(err, result) {
+      results.push(result);
+      if ( results.length < 3 ) return;
+      assert.deepEqual(results.sort(), ['result 1', 'result 1', 'result 2']);
+      assert.equal(flight.size(), 0);
+      done();
+    };
+    flight.run('k', fn, collect);
+    flight.run('k', fn, collect);
+    flight.forgetWhere(function(key) { return key == 'k'; });
+    assert.equal(flight.size(), 0);
+    flight.run('k', fn, collect);
+    assert.equal(runs, 2);
+  });
+
+  test('calls for different keys run separately', function(done) {
+    var flight = new SingleFlight();
+    var left = 2;
+    var fn = function(callback) { process.nextTick(function() { callback(null); }); };
+    var check = function() { if ( ! --left ) done(); };
+    flight.run('a', fn, check);
+    flight.run('b', fn, check);
+    assert.equal(flight.size(), 2);
+  });
+
+});
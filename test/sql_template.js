@@ -0,0 +1,63 @@
+var assert      = require('assert');
+var SqlTemplate = require('../lib/grainstore/sql_template');
+
+suite('sql_template', function() {
+
+  test('quotes parameters according to their javascript type', function() {
+    var sql = SqlTemplate.render(
+      "select * from t where cat = {{cat}} and n > {{n}} and visible = {{v}} and x is {{x}}",
+      {cat: "O'Brien", n: 1.5, v: true, x: null});
+    assert.equal(sql, "select * from t where cat = 'O''Brien' and n > 1.5 and visible = TRUE and x is NULL");
+  });
+
+  test('quotes parameters according to the given type', function() {
+    var sql = SqlTemplate.render(
+      "select {{col:ident}} from t where id = {{id:int}} and d > {{d:date}} and s = {{s:text}}",
+      {col: 'we"ird', id: '42', d: new Date(Date.UTC(2012, 0, 1)), s: 5});
+    assert.equal(sql, "select \"we\"\"ird\" from t where id = 42 and d > '2012-01-01T00:00:00.000Z' and s = '5'");
+  });
+
+  test('escapes backslashes with E strings', function() {
+    assert.equal(SqlTemplate.render("{{s}}", {s: "a\\'b"}), "E'a\\\\''b'");
+  });
+
+  test('expands arrays to comma separated lists', function() {
+    assert.equal(SqlTemplate.render("id in ({{ids:int}})", {ids: [1, '2', 3]}), "id in (1,2,3)");
+    assert.equal(SqlTemplate.render("id in ({{ids}})", {ids: []}), "id in (NULL)");
+  });
+
+  test('brackets negative numbers, not to start comments', function() {
+    assert.equal(SqlTemplate.render("a-{{n:int}} and b", {n: -1}), "a-(-1) and b");
+    assert.equal(SqlTemplate.render("a-{{n:float}}", {n: '-1.5'}), "a-(-1.5)");
+    assert.equal(SqlTemplate.render("a-{{n}}", {n: -2}), "a-(-2)");
+    assert.equal(SqlTemplate.render("id in ({{ids:int}})", {ids: [1, -2]}), "id in (1,(-2))");
+  });
+
+  test('leaves mapnik tokens untouched', function() {
+    var template = "select * from t where the_geom && !bbox! and {{z:int}} < !scale_denominator!";
+    assert.equal(SqlTemplate.render(template, {z: 3}),
+      "select * from t where the_geom && !bbox! and 3 < !scale_denominator!");
+    assert.ok( ! SqlTemplate.isTemplate("select * from t where the_geom && !bbox!") );
+  });
+
+  test('values cannot form mapnik tokens', function() {
+    assert.equal(SqlTemplate.render("name = {{n}}", {n: "x!bbox!y"}),
+      "name = ('x' || chr(33) || 'bbox' || chr(33) || 'y')");
+    assert.equal(SqlTemplate.render("{{n:text}}::text", {n: "!\\'"}), "('' || chr(33) || E'\\\\''')::text");
+    assert.throws(function() { SqlTemplate.render("{{c:ident}}", {c: 'a!bbox!'}); }, /cannot contain '!'/);
+  });
+
+  test('lists parameter names in order of appearance', function() {
+    assert.deepEqual(SqlTemplate.names("{{b}} {{ a:int }} {{b}}"), ['b', 'a']);
+  });
+
+  test('rejects missing parameters, unknown types and bad values', function() {
+    assert.throws(function() { SqlTemplate.render("{{a}}", {}); }, /Missing sql parameter 'a'/);
+    assert.throws(function() { SqlTemplate.render("{{a:foo}}", {a: 1}); }, /Unknown type 'foo'/);
+    assert.throws(function() { SqlTemplate.render("{{a:int}}", {a: '1; drop table t'}); },
+      /Invalid value for sql parameter 'a': not an integer/);
+    assert.throws(function() { SqlTemplate.render("{{a:float}}", {a: 'NaN'}); }, /not a number/);
+    assert.throws(function() { SqlTemplate.render("{{a:ident}}", {a: ''}); }, /identifiers/);
+  });
+
+});
@@ -0,0 +1,334 @@
+var assert     = require('assert');
+var _          = require('underscore');
+var fs         = require('fs');
+var Step       = require('step');
+var grainstore = require('../lib/grainstore');
+
+var redis_opts = require('./support/redis_opts');
+
+var fs_dir = '/tmp/grainstore-test-storage-' + process.pid;
+
+// Same checks for every storage backend
+var backends = {
+  redis: function() {
+    return new grainstore.RedisStorage(new grainstore.RedisPool(redis_opts));
+  },
+  memory: function() {
+    return new grainstore.MemoryStorage();
+  },
+  filesystem: function() {
+    return new grainstore.FilesystemStorage(fs_dir);
+  }
+};
+
+_.each(backends, function(makeStorage, name) {
+
+suite(name + '_storage', function() {
+
+  var storage = makeStorage();
+
+  suiteTeardown(function(done) {
+    if ( name != 'filesystem' ) { done(); return; }
+    fs.rmdir(fs_dir, function() { done(); });
+  });
+
+  test('get of a missing key returns null', function(done) {
+    storage.get('grainstore_test|missing', function(err, val) {
+      if ( err ) { done(err); return; }
+      assert.ok(_.isNull(val));
+      done();
+    });
+  });
+
+  test('can set, get and delete a key', function(done) {
+    Step(
+      function set() {
+        storage.set('grainstore_test|k', 'v', this);
+      },
+      function get(err) {
+        if ( err ) throw err;
+        storage.get('grainstore_test|k', this);
+      },
+      function del(err, val) {
+        if ( err ) throw err;
+        assert.equal(val, 'v');
+        storage.del('grainstore_test|k', this);
+      },
+      function getAgain(err) {
+        if ( err ) throw err;
+        storage.get('grainstore_test|k', this);
+      },
+      function check(err, val) {
+        if ( err ) throw err;
+        assert.ok(_.isNull(val));
+        return null;
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  test('can list and delete keys by prefix', function(done) {
+    Step(
+      function set() {
+        var group = this.group();
+        storage.set('grainstore_test|a', '1', group());
+        storage.set('grainstore_test|a|x', '2', group());
+        storage.set('grainstore_test|a|y*', '3', group());
+        storage.set('grainstore_test|ab', '4', group());
+      },
+      function list(err) {
+        if ( err ) throw err;
+        storage.keys('grainstore_test|a|', this);
+      },
+      function delListed(err, keys) {
+        if ( err ) throw err;
+        assert.deepEqual(keys.sort(), ['grainstore_test|a|x', 'grainstore_test|a|y*']);
+        storage.del(keys, this);
+      },
+      function listAgain(err) {
+        if ( err ) throw err;
+        storage.keys('grainstore_test|', this);
+      },
+      function check(err, keys) {
+        if ( err ) throw err;
+        assert.deepEqual(keys.sort(), ['grainstore_test|a', 'grainstore_test|ab']);
+        storage.del(keys, this);
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  test('compareAndSet only sets when value is unchanged', function(done) {
+    Step(
+      function casMissing() {
+        storage.compareAndSet('grainstore_test|w', null,
+          {'grainstore_test|w': 'v1', 'grainstore_test|o': 'o1'}, this);
+      },
+      function casStale(err, ok) {
+        if ( err ) throw err;
+        assert.ok(ok);
+        storage.compareAndSet('grainstore_test|w', null,
+          {'grainstore_test|o': 'o2'}, this);
+      },
+      function casCurrent(err, ok) {
+        if ( err ) throw err;
+        assert.ok(!ok);
+        storage.compareAndSet('grainstore_test|w', 'v1',
+          {'grainstore_test|o': 'o3'}, this);
+      },
+      function get(err, ok) {
+        if ( err ) throw err;
+        assert.ok(ok);
+        storage.get('grainstore_test|o', this);
+      },
+      function check(err, val) {
+        if ( err ) throw err;
+        assert.equal(val, 'o3');
+        storage.del(['grainstore_test|w', 'grainstore_test|o'], this);
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  test('can add, list and remove index members', function(done) {
+    Step(
+      function add() {
+        var next = this;
+        storage.indexAdd('grainstore_test|i', 'm2', 20, function(err) {
+          if ( err ) { next(err); return; }
+          storage.indexAdd('grainstore_test|i', 'm1', 10, function(err) {
+            if ( err ) { next(err); return; }
+            storage.indexAdd('grainstore_test|i', 'm3', 30, next);
+          });
+        });
+      },
+      function list(err) {
+        if ( err ) throw err;
+        storage.indexMembers('grainstore_test|i', this);
+      },
+      function updateScore(err, members) {
+        if ( err ) throw err;
+        // ordered by score
+        assert.deepEqual(members, ['m1', 'm2', 'm3']);
+        storage.indexAdd('grainstore_test|i', 'm1', 40, this);
+      },
+      function listAgain(err) {
+        if ( err ) throw err;
+        storage.indexMembers('grainstore_test|i', this);
+      },
+      function remove(err, members) {
+        if ( err ) throw err;
+        assert.deepEqual(members, ['m2', 'm3', 'm1']);
+        storage.indexRemove('grainstore_test|i', ['m2', 'm1'], this);
+      },
+      function listRemoved(err) {
+        if ( err ) throw err;
+        storage.indexMembers('grainstore_test|i', this);
+      },
+      function del(err, members) {
+        if ( err ) throw err;
+        assert.deepEqual(members, ['m3']);
+        storage.del('grainstore_test|i', this);
+      },
+      function listDeleted(err) {
+        if ( err ) throw err;
+        storage.indexMembers('grainstore_test|i', this);
+      },
+      function check(err, members) {
+        if ( err ) throw err;
+        assert.deepEqual(members, []);
+        return null;
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  test('can remove index members scored below a given score', function(done) {
+    Step(
+      function add() {
+        var group = this.group();
+        storage.indexAdd('grainstore_test|i', 'm1', 10, group());
+        storage.indexAdd('grainstore_test|i', 'm2', 20, group());
+        storage.indexAdd('grainstore_test|i', 'm3', 30, group());
+      },
+      function removeBelow(err) {
+        if ( err ) throw err;
+        storage.indexRemoveBelow('grainstore_test|i', 20, this);
+      },
+      function list(err, removed) {
+        if ( err ) throw err;
+        assert.deepEqual(removed, ['m1']);
+        storage.indexMembers('grainstore_test|i', this);
+      },
+      function check(err, members) {
+        if ( err ) throw err;
+        assert.deepEqual(members, ['m2', 'm3']);
+        storage.del('grainstore_test|i', this);
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  test('expired keys are gone, unless set again', function(done) {
+    this.timeout(5000);
+    Step(
+      function set() {
+        var next = this;
+        storage.set('grainstore_test|e1', 'v', function(err) {
+          if ( err ) { next(err); return; }
+          storage.set('grainstore_test|e2', 'v', next);
+        });
+      },
+      function expire(err) {
+        if ( err ) throw err;
+        var next = this;
+        storage.expire('grainstore_test|e1', 1, function(err) {
+          if ( err ) { next(err); return; }
+          storage.expire('grainstore_test|e2', 1, next);
+        });
+      },
+      function setAgain(err) {
+        if ( err ) throw err;
+        storage.set('grainstore_test|e2', 'v2', this);
+      },
+      function wait(err) {
+        if ( err ) throw err;
+        setTimeout(this, 1500);
+      },
+      function get() {
+        var next = this;
+        storage.get('grainstore_test|e1', function(err, v1) {
+          if ( err ) { next(err); return; }
+          storage.get('grainstore_test|e2', function(err, v2) {
+            next(err, v1, v2);
+          });
+        });
+      },
+      function check(err, v1, v2) {
+        if ( err ) throw err;
+        assert.ok(_.isNull(v1));
+        assert.equal(v2, 'v2');
+        storage.keys('grainstore_test|e', this);
+      },
+      function checkKeys(err, keys) {
+        if ( err ) throw err;
+        assert.deepEqual(keys, ['grainstore_test|e2']);
+        storage.del(['grainstore_test|e1', 'grainstore_test|e2'], this);
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  if ( storage.lock ) test('locks exclude others until released or expired', function(done) {
+    Step(
+      function lock() {
+        storage.lock('grainstore_test|lock', 50, this);
+      },
+      function lockAgain(err, token) {
+        if ( err ) throw err;
+        assert.ok(token);
+        var next = this;
+        storage.lock('grainstore_test|lock', 50, function(err, other) {
+          next(err, token, other);
+        });
+      },
+      function unlockWrongToken(err, token, other) {
+        if ( err ) throw err;
+        assert.ok( ! other );
+        var next = this;
+        storage.unlock('grainstore_test|lock', 'wrong', function(err) {
+          if ( err ) { next(err); return; }
+          storage.lock('grainstore_test|lock', 50, function(err, other) {
+            next(err, token, other);
+          });
+        });
+      },
+      function unlock(err, token, other) {
+        if ( err ) throw err;
+        assert.ok( ! other );
+        storage.unlock('grainstore_test|lock', token, this);
+      },
+      function lockReleased(err) {
+        if ( err ) throw err;
+        storage.lock('grainstore_test|lock', 20, this);
+      },
+      function waitExpiry(err, token) {
+        if ( err ) throw err;
+        assert.ok(token);
+        setTimeout(this, 40);
+      },
+      function lockExpired() {
+        storage.lock('grainstore_test|lock', 20, this);
+      },
+      function cleanup(err, token) {
+        if ( err ) throw err;
+        assert.ok(token);
+        storage.unlock('grainstore_test|lock', token, this);
+      },
+      function finish(err) { done(err); }
+    );
+  });
+
+  if ( storage.publish ) test('subscribers receive published messages', function(done) {
+    var received = [];
+    storage.subscribe('grainstore_test_channel', function(message) {
+      received.push(message);
+      if ( received.length < 2 ) return;
+      assert.deepEqual(received, ['m1', 'm2']);
+      subscription.unsubscribe(done);
+    }, function(err, s) {
+      if ( err ) { done(err); return; }
+      subscription = s;
+      storage.publish('grainstore_test_channel', 'm1', function(err) {
+        if ( err ) { done(err); return; }
+        storage.publish('grainstore_test_channel', 'm2', function(err) {
+          if ( err ) done(err);
+        });
+      });
+    });
+    var subscription;
+  });
+
+});
+
+});
@@ -0,0 +1,68 @@
+var assert    = require('assert');
+var StoreKeys = require('../lib/grainstore/store_keys');
+
+suite('store_keys', function() {
+
+  test('keys are unprefixed with no namespace nor tenant', function() {
+    var keys = new StoreKeys();
+    assert.equal(keys.prefix, '');
+    assert.equal(keys.style('db', 't'), 'map_style|db|t');
+    assert.equal(keys.history('db', 't'), 'map_style_history|db|t');
+    assert.equal(keys.related('db', 't'), 'map_style_related|db|t');
+    assert.equal(keys.databaseDefault('db'), 'map_style_default|db');
+    assert.equal(keys.lock('map_style|db|t'), 'map_style_lock|map_style|db|t');
+    assert.equal(keys.stylePrefix(), 'map_style|');
+    assert.equal(keys.stylePrefix('db'), 'map_style|db|');
+    assert.equal(keys.channel('map_style_invalidation'), 'map_style_invalidation');
+  });
+
+  test('namespace and tenant prefix all keys', function() {
+    var keys = new StoreKeys({namespace: 'staging', tenant: 'acme'});
+    assert.equal(keys.prefix, 'ns=staging:t=acme:');
+    assert.equal(keys.style('db', 't'), 'ns=staging:t=acme:map_style|db|t');
+    assert.equal(keys.history('db', 't'), 'ns=staging:t=acme:map_style_history|db|t');
+    assert.equal(keys.related('db', 't'), 'ns=staging:t=acme:map_style_related|db|t');
+    assert.equal(keys.databaseDefault('db'), 'ns=staging:t=acme:map_style_default|db');
+    assert.equal(keys.lock(keys.style('db', 't')), 'ns=staging:t=acme:map_style_lock|map_style|db|t');
+    assert.equal(keys.stylePrefix('db'), 'ns=staging:t=acme:map_style|db|');
+    assert.equal(keys.channel('map_style_invalidation'), 'ns=staging:t=acme:map_style_invalidation');
+    assert.equal(new StoreKeys({tenant: 'acme'}).style('db', 't'), 't=acme:map_style|db|t');
+  });
+
+  test('a namespace and a tenant of the same name do not share keys', function() {
+    var namespace = new StoreKeys({namespace: 'acme'});
+    var tenant = new StoreKeys({tenant: 'acme'});
+    assert.notEqual(namespace.style('db', 't'), tenant.style('db', 't'));
+    assert.equal(namespace.parse(tenant.style('db', 't')), null);
+    assert.equal(tenant.parse(namespace.style('db', 't')), null);
+    assert.equal(new StoreKeys({namespace: 't=acme'}).parse(tenant.style('db', 't')), null);
+  });
+
+  test('delimiters in names are escaped', function() {
+    var keys = new StoreKeys({namespace: 'a:b', tenant: 'c|d'});
+    assert.equal(keys.style('d|b', '50%|t:1'), 'ns=a%3Ab:t=c%7Cd:map_style|d%7Cb|50%25%7Ct:1');
+    assert.equal(keys.stylePrefix('d|b'), 'ns=a%3Ab:t=c%7Cd:map_style|d%7Cb|');
+    assert.equal(keys.databaseDefault('%'), 'ns=a%3Ab:t=c%7Cd:map_style_default|%25');
+    assert.equal(StoreKeys.decode(StoreKeys.encode('a%7C|%:', true)), 'a%7C|%:');
+  });
+
+  test('parse decodes keys of its namespace', function() {
+    var keys = new StoreKeys({namespace: 'ns'});
+    assert.deepEqual(keys.parse(keys.style('d|b', 't|1')),
+      {kind: 'map_style', db: 'd|b', map_name: 't|1', extension: null});
+    assert.deepEqual(keys.parse(keys.style('d', 't') + '|0123abcd'),
+      {kind: 'map_style', db: 'd', map_name: 't', extension: '0123abcd'});
+    assert.deepEqual(keys.parse(keys.related('d', 't')),
+      {kind: 'map_style_related', db: 'd', map_name: 't', extension: null});
+    assert.deepEqual(keys.parse(keys.databaseDefault('d')),
+      {kind: 'map_style_default', db: 'd', map_name: null, extension: null});
+    assert.deepEqual(keys.parse(keys.lock(keys.style('d', 't'))),
+      {kind: 'map_style_lock', key: keys.style('d', 't')});
+    assert.equal(keys.parse('map_style|d|t'), null);
+    assert.equal(keys.parse('ns=ns:other|d|t'), null);
+    assert.equal(keys.parse('ns=ns:map_style_history|d|t|x'), null);
+    assert.equal(keys.parse('ns=ns:t=acme:map_style|d|t'), null);
+    assert.equal(new StoreKeys().parse('ns=ns:map_style|d|t'), null);
+  });
+
+});
@@ -0,0 +1,32 @@
+var assert      = require('assert');
+var StyleErrors = require('../lib/grainstore/style_errors');
+
+suite('style_errors', function() {
+
+  test('parses located carto errors, one per line', function() {
+    var errors = StyleErrors.parse(new Error(
+      "style.mss:2:2 Unrecognized rule: backgrxxound-color\nstyle.mss:2:27 Unrecognized rule: bad-tag"));
+    assert.equal(errors.length, 2);
+    assert.deepEqual(errors[0], {
+      message: 'Unrecognized rule: backgrxxound-color',
+      severity: 'error', filename: 'style.mss', line: 2, column: 2
+    });
+    assert.equal(errors[1].line, 2);
+    assert.equal(errors[1].column, 27);
+    assert.equal(errors[1].message, 'Unrecognized rule: bad-tag');
+  });
+
+  test('reports messages with no location as a whole', function() {
+    var errors = StyleErrors.parse("No CartoCSS transform path from 1.0.0 to 2.1.0");
+    assert.deepEqual(errors, [ {
+      message: 'No CartoCSS transform path from 1.0.0 to 2.1.0',
+      severity: 'error', filename: null, line: null, column: null
+    } ]);
+  });
+
+  test('accepts a severity', function() {
+    var errors = StyleErrors.parse("style.mss:1:1 something odd", 'warning');
+    assert.equal(errors[0].severity, 'warning');
+  });
+
+});